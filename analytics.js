@@ -0,0 +1,230 @@
+/**
+ * Analytics for the Internet Usage Tracker dashboard
+ * Builds chart data for a date range from the daily rollups and raw sessions
+ */
+
+// Domains shown individually in charts; the rest are grouped as "Other"
+const DASHBOARD_TOP_DOMAINS = 8;
+const OTHER_DOMAIN = 'Other';
+
+const Analytics = {
+  /**
+   * Build all dashboard data for a date range
+   * @param {object} options
+   * @param {string} options.from - First day key (inclusive)
+   * @param {string} options.to - Last day key (inclusive)
+   * @param {string} options.groupBy - 'day', 'week' or 'month'
+   * @param {Array} options.liveSessions - Running sessions with live durations and measured overlap (see Windows.measure)
+   * @param {object} options.config - Extension configuration (for productivity labels and domain grouping)
+   * @returns {object} { from, to, groupBy, topDomains, totalSeconds, buckets, comparison, heatmap, blockedAttempts, productivity }
+   */
+  async getDashboardData({ from, to, groupBy = 'day', liveSessions = [], config }) {
+    const liveRows = liveSessions.flatMap(session => Rollups.getSessionRows(session));
+    const rows = await this.getRollupRows(from, to, liveRows, config.domainGrouping);
+
+    // Rank domains over the whole range
+    const domainTotals = {};
+    rows.forEach(row => {
+      domainTotals[row.domain] = (domainTotals[row.domain] || 0) + row.seconds;
+    });
+    const topDomains = Object.keys(domainTotals)
+      .sort((a, b) => domainTotals[b] - domainTotals[a])
+      .slice(0, DASHBOARD_TOP_DOMAINS);
+
+    return {
+      from,
+      to,
+      groupBy,
+      topDomains,
+      // Totals are wall-clock time; per-domain seconds still count concurrent sessions fully
+      totalSeconds: rows.reduce((sum, row) => sum + this.getWallClockSeconds(row), 0),
+      buckets: this.buildBuckets(rows, from, to, groupBy, topDomains),
+      comparison: await this.buildWeekComparison(to, liveRows, config.domainGrouping),
+      heatmap: await this.buildHeatmap(from, to, liveSessions),
+      blockedAttempts: await this.buildBlockedAttempts(from, to),
+      // Daily scores for the 30 days ending on `to`
+      productivity: await Productivity.getDailyScores(
+        Utils.addDays(to, -(PRODUCTIVITY_TREND_DAYS - 1)),
+        to,
+        config,
+        liveSessions
+      )
+    };
+  },
+
+  /**
+   * Get rollup rows for a day range, including the live session's
+   * Each row's domain is replaced by the site or hostname it is grouped under.
+   */
+  async getRollupRows(from, to, liveRows, grouping) {
+    const rows = await Rollups.getRange(from, to);
+    rows.push(...liveRows.filter(row => row.day >= from && row.day <= to));
+    return rows.map(row => ({ ...row, domain: Domains.getGroupKey(row.domain, grouping) }));
+  },
+
+  /**
+   * Seconds a rollup row adds to a total, leaving out time another session already counted
+   * @param {object} row - Rollup row
+   * @returns {number} Seconds
+   */
+  getWallClockSeconds(row) {
+    return row.seconds - (row.overlapSeconds || 0);
+  },
+
+  /**
+   * Get the bucket a day falls into
+   * @param {string} dayKey - Day key
+   * @param {string} groupBy - 'day', 'week' or 'month'
+   * @returns {string} Bucket key (day key, Monday's day key, or "YYYY-MM")
+   */
+  getBucketKey(dayKey, groupBy) {
+    if (groupBy === 'month') return dayKey.slice(0, 7);
+
+    if (groupBy === 'week') {
+      const weekday = new Date(Utils.parseDayKey(dayKey) * 1000).getDay();
+      // Weeks start on Monday
+      return Utils.addDays(dayKey, -((weekday + 6) % 7));
+    }
+
+    return dayKey;
+  },
+
+  /**
+   * Group rows into time buckets with per-domain seconds
+   * Every bucket in the range is returned, including empty ones.
+   */
+  buildBuckets(rows, from, to, groupBy, topDomains) {
+    const buckets = {};
+
+    for (let day = from; day <= to; day = Utils.addDays(day, 1)) {
+      const key = this.getBucketKey(day, groupBy);
+      if (!buckets[key]) {
+        buckets[key] = { key, totalSeconds: 0, domains: {} };
+      }
+    }
+
+    rows.forEach(row => {
+      const bucket = buckets[this.getBucketKey(row.day, groupBy)];
+      if (!bucket) return;
+
+      const domain = topDomains.includes(row.domain) ? row.domain : OTHER_DOMAIN;
+      bucket.domains[domain] = (bucket.domains[domain] || 0) + row.seconds;
+      bucket.totalSeconds += this.getWallClockSeconds(row);
+    });
+
+    return Object.values(buckets).sort((a, b) => a.key.localeCompare(b.key));
+  },
+
+  /**
+   * Compare the 7 days ending on `to` with the 7 days before
+   * @returns {object} { thisWeek, lastWeek, domains: [{ domain, seconds, previousSeconds }] }
+   */
+  async buildWeekComparison(to, liveRows, grouping) {
+    const thisWeekFrom = Utils.addDays(to, -6);
+    const lastWeekFrom = Utils.addDays(to, -13);
+    const rows = await this.getRollupRows(lastWeekFrom, to, liveRows, grouping);
+
+    const domains = {};
+    const thisWeek = { from: thisWeekFrom, to, totalSeconds: 0 };
+    const lastWeek = { from: lastWeekFrom, to: Utils.addDays(to, -7), totalSeconds: 0 };
+
+    rows.forEach(row => {
+      if (!domains[row.domain]) {
+        domains[row.domain] = { domain: row.domain, seconds: 0, previousSeconds: 0 };
+      }
+
+      if (row.day >= thisWeekFrom) {
+        domains[row.domain].seconds += row.seconds;
+        thisWeek.totalSeconds += this.getWallClockSeconds(row);
+      } else {
+        domains[row.domain].previousSeconds += row.seconds;
+        lastWeek.totalSeconds += this.getWallClockSeconds(row);
+      }
+    });
+
+    return {
+      thisWeek,
+      lastWeek,
+      domains: Object.values(domains)
+        .sort((a, b) => Math.max(b.seconds, b.previousSeconds) - Math.max(a.seconds, a.previousSeconds))
+        .slice(0, DASHBOARD_TOP_DOMAINS)
+    };
+  },
+
+  /**
+   * Seconds per hour of day for each day of week
+   * Built from raw sessions, so it only covers the archive retention window.
+   * Time when several sessions ran at once (other windows, background audio)
+   * counts once, as in the totals.
+   * @returns {object} { cells: 7x24 seconds (0 = Sunday), maxSeconds, earliestSession }
+   */
+  async buildHeatmap(from, to, liveSessions = []) {
+    const cells = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const sessions = await SessionStore.getRange(
+      Utils.parseDayKey(from),
+      Utils.parseDayKey(Utils.addDays(to, 1))
+    );
+    sessions.push(...liveSessions);
+
+    const earliestSession = sessions.reduce(
+      (earliest, session) => (earliest === null || session.startTimestamp < earliest ? session.startTimestamp : earliest),
+      null
+    );
+    const intervals = Windows.merge(sessions.map(session => [
+      session.startTimestamp,
+      session.startTimestamp + session.durationSeconds
+    ]));
+
+    intervals.forEach(([intervalStart, end]) => {
+      // Split the interval at hour boundaries
+      let start = intervalStart;
+      while (start < end) {
+        const date = new Date(start * 1000);
+        const nextHour = Math.floor(new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime() / 1000);
+        const sliceEnd = Math.min(end, nextHour);
+        cells[date.getDay()][date.getHours()] += sliceEnd - start;
+        start = sliceEnd;
+      }
+    });
+
+    return {
+      cells,
+      maxSeconds: Math.max(0, ...cells.map(row => Math.max(...row))),
+      earliestSession
+    };
+  },
+
+  /**
+   * Count visits blocked or warned about by focus mode
+   * @returns {object} { total, blocked, warned, domains: [{ domain, count }] }
+   */
+  async buildBlockedAttempts(from, to) {
+    const events = await SessionStore.getEvents(
+      EVENT_TYPE.BLOCKED_ATTEMPT,
+      Utils.parseDayKey(from),
+      Utils.parseDayKey(Utils.addDays(to, 1))
+    );
+
+    const domains = {};
+    let warned = 0;
+    events.forEach(event => {
+      domains[event.domain] = (domains[event.domain] || 0) + 1;
+      if (event.mode === 'warn') warned++;
+    });
+
+    return {
+      total: events.length,
+      blocked: events.length - warned,
+      warned,
+      domains: Object.entries(domains)
+        .map(([domain, count]) => ({ domain, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, DASHBOARD_TOP_DOMAINS)
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Analytics;
+}
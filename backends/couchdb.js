@@ -0,0 +1,126 @@
+/**
+ * Self-hosted CouchDB sync backend
+ * Stores each session as a document whose _id is the session ID
+ */
+
+const CouchDBBackend = {
+  id: 'couchdb',
+  label: 'CouchDB',
+  remote: true,
+
+  /**
+   * Get CouchDB settings with defaults filled in
+   * @param {object} config - Extension configuration
+   * @returns {object} { url, username, password }
+   */
+  getSettings(config) {
+    return {
+      url: '',
+      username: '',
+      password: '',
+      ...config.couchdb
+    };
+  },
+
+  /**
+   * Check if the database URL is set
+   * @param {object} config - Extension configuration
+   * @returns {boolean} Whether the backend can be used
+   */
+  isConfigured(config) {
+    return Boolean(this.getSettings(config).url);
+  },
+
+  /**
+   * Build request headers, with basic auth when a username is set
+   */
+  getHeaders(config) {
+    const settings = this.getSettings(config);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (settings.username) {
+      headers['Authorization'] = `Basic ${btoa(`${settings.username}:${settings.password}`)}`;
+    }
+
+    return headers;
+  },
+
+  /**
+   * Check that the database exists and the credentials can read it
+   * @param {string} userId - User ID (stored on each document, not checked here)
+   * @param {object} config - Extension configuration
+   * @returns {object} Validation result
+   */
+  async validateUser(userId, config) {
+    if (!this.isConfigured(config)) {
+      return { valid: false, error: 'CouchDB URL not set', permanent: true };
+    }
+
+    try {
+      await Utils.request(this.getSettings(config).url, { headers: this.getHeaders(config) });
+      return { valid: true };
+    } catch (error) {
+      console.error('[Sync] CouchDB validation error:', error);
+      return { valid: false, error: error.message, permanent: Utils.isPermanentError(error) };
+    }
+  },
+
+  /**
+   * Write sessions with _bulk_docs
+   * Documents that already exist come back as conflicts, which are ignored
+   * so that re-sending a batch is safe.
+   * @param {object} payload - Output of SyncManager.buildPayload
+   * @param {object} config - Extension configuration
+   */
+  async send(payload, config) {
+    const docs = payload.sessions.map(session => ({
+      _id: session.session_id,
+      type: 'session',
+      device_id: payload.device_id,
+      user_id: payload.user_id,
+      device_profile: payload.device_profile,
+      ...session
+    }));
+
+    const response = await Utils.request(`${this.getSettings(config).url}/_bulk_docs`, {
+      method: 'POST',
+      headers: this.getHeaders(config),
+      body: JSON.stringify({ docs })
+    });
+
+    const results = await response.json();
+    const rejected = results.filter(result => result.error && result.error !== 'conflict');
+
+    if (rejected.length > 0) {
+      const error = new Error(`CouchDB rejected ${rejected.length} documents: ${rejected[0].reason || rejected[0].error}`);
+      error.status = 400;
+      throw error;
+    }
+  },
+
+  /**
+   * Read a view from the database's "tracker" design document
+   * The view's reduced values are returned, so the view decides the row shape.
+   * @param {string} resource - View name (e.g. 'domain_totals')
+   * @param {object} query - View parameters (e.g. { group: true })
+   * @param {object} config - Extension configuration
+   * @returns {Array} View values
+   */
+  async fetch(resource, query, config) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([key, value]) => {
+      params.set(key, JSON.stringify(value));
+    });
+
+    const url = `${this.getSettings(config).url}/_design/tracker/_view/${resource}?${params}`;
+    const response = await Utils.request(url, { headers: this.getHeaders(config) });
+    const data = await response.json();
+
+    return data.rows.map(row => row.value);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CouchDBBackend;
+}
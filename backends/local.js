@@ -0,0 +1,43 @@
+/**
+ * Local-only sync backend
+ * Nothing leaves the browser; syncing just moves sessions into the local archive
+ */
+
+const LocalBackend = {
+  id: 'local',
+  label: 'Local only',
+  remote: false,
+
+  /**
+   * Always usable, there is nothing to configure
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Every user is valid when nothing is uploaded
+   */
+  async validateUser() {
+    return { valid: true };
+  },
+
+  /**
+   * Never called: SyncManager archives locally for non-remote backends
+   */
+  async send() {
+    throw new Error('The local-only backend does not upload sessions');
+  },
+
+  /**
+   * There is no server to read from
+   */
+  async fetch() {
+    return [];
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalBackend;
+}
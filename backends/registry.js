@@ -0,0 +1,35 @@
+/**
+ * Sync backend registry
+ *
+ * Every backend implements the same interface:
+ *   id, label, remote        - identity; remote is false for local-only
+ *   isConfigured(config)     - whether the required settings are filled in
+ *   validateUser(userId, config) -> { valid, error, permanent }
+ *   send(payload, config)    - upload a SyncManager.buildPayload batch; throws on failure
+ *   fetch(resource, query, config) -> Array of rows read back from the server
+ *
+ * Errors thrown by send/fetch carry the HTTP status in error.status when there is one.
+ */
+
+const SyncBackends = {
+  adapters: {
+    supabase: SupabaseBackend,
+    webhook: WebhookBackend,
+    couchdb: CouchDBBackend,
+    local: LocalBackend
+  },
+
+  /**
+   * Get the backend selected in config (Supabase if unset)
+   * @param {object} config - Extension configuration
+   * @returns {object} Backend adapter
+   */
+  get(config) {
+    return this.adapters[config.syncBackend] || this.adapters.supabase;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncBackends;
+}
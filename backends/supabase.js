@@ -0,0 +1,154 @@
+/**
+ * Supabase sync backend
+ * Talks to the PostgREST API created by supabase-setup.sql
+ */
+
+const SupabaseBackend = {
+  id: 'supabase',
+  label: 'Supabase',
+  remote: true,
+
+  /**
+   * Check if the project URL and anon key are set
+   * @param {object} config - Extension configuration
+   * @returns {boolean} Whether the backend can be used
+   */
+  isConfigured(config) {
+    return Boolean(config.apiEndpoint && config.apiKey);
+  },
+
+  /**
+   * Build request headers for the Supabase API
+   */
+  getHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'apikey': config.apiKey,
+      'Authorization': `Bearer ${config.apiKey}`
+    };
+  },
+
+  /**
+   * Validate if user is allowed to use the extension
+   * @param {string} userId - User ID to validate
+   * @param {object} config - Extension configuration
+   * @returns {object} Validation result
+   */
+  async validateUser(userId, config) {
+    if (!this.isConfigured(config)) {
+      return { valid: false, error: 'API not configured', permanent: true };
+    }
+
+    if (!userId) {
+      return { valid: false, error: 'User ID not set', permanent: true };
+    }
+
+    try {
+      const response = await Utils.request(`${config.apiEndpoint}/rest/v1/rpc/is_valid_user`, {
+        method: 'POST',
+        headers: this.getHeaders(config),
+        body: JSON.stringify({ check_username: userId })
+      });
+
+      const isValid = await response.json();
+
+      if (isValid) {
+        return { valid: true };
+      } else {
+        return {
+          valid: false,
+          error: 'User not authorized. Email dhondpratyay@gmail.com to request access.',
+          permanent: true
+        };
+      }
+    } catch (error) {
+      console.error('[Sync] User validation error:', error);
+      return { valid: false, error: error.message, permanent: Utils.isPermanentError(error) };
+    }
+  },
+
+  /**
+   * Insert sessions as rows in the sessions table
+   * Rows are upserted on session_id, so re-sending a batch never creates duplicates.
+   * A table missing columns (set up by an older supabase-setup.sql) refuses
+   * every row; that error is flagged as a setup problem (error.setupError),
+   * so the sessions wait for the migration instead of being rejected.
+   * @param {object} payload - Output of SyncManager.buildPayload
+   * @param {object} config - Extension configuration
+   */
+  async send(payload, config) {
+    const url = `${config.apiEndpoint}/rest/v1/sessions?on_conflict=session_id`;
+
+    // Transform payload for Supabase - insert each session as a row
+    const rows = payload.sessions.map(session => ({
+      session_id: session.session_id,
+      device_id: payload.device_id,
+      user_id: payload.user_id,
+      url: session.url,
+      domain: session.domain,
+      category: session.category,
+      title: session.title,
+      start_timestamp: session.start_timestamp,
+      end_timestamp: session.end_timestamp,
+      duration_seconds: session.duration_seconds,
+      tab_id: session.tab_id,
+      incognito: session.incognito || false,
+      activity_type: session.activity_type,
+      window_id: session.window_id,
+      device_profile: payload.device_profile,
+      synced_at: new Date().toISOString()
+    }));
+
+    try {
+      await Utils.request(url, {
+        method: 'POST',
+        headers: {
+          ...this.getHeaders(config),
+          // Rows already on the server are left as they are
+          'Prefer': 'resolution=ignore-duplicates,return=minimal'
+        },
+        body: JSON.stringify(rows)
+      });
+    } catch (error) {
+      if (this.isMissingColumnError(error)) {
+        error.message = `${error.message} (run the Migrations section of supabase-setup.sql)`;
+        error.setupError = true;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Check if PostgREST refused a request for naming a column the table lacks
+   * @param {Error} error - Error thrown by Utils.request
+   * @returns {boolean} Whether a column is missing
+   */
+  isMissingColumnError(error) {
+    return error.status === 400 && /PGRST204|Could not find the '.+' column/.test(error.message);
+  },
+
+  /**
+   * Read rows back from a table or view
+   * @param {string} resource - Table or view name (e.g. 'domain_totals')
+   * @param {object} query - Column values to filter on
+   * @param {object} config - Extension configuration
+   * @returns {Array} Matching rows
+   */
+  async fetch(resource, query, config) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([column, value]) => {
+      params.append(column, `eq.${value}`);
+    });
+
+    const response = await Utils.request(`${config.apiEndpoint}/rest/v1/${resource}?${params}`, {
+      headers: this.getHeaders(config)
+    });
+
+    return response.json();
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SupabaseBackend;
+}
@@ -0,0 +1,149 @@
+/**
+ * Generic JSON webhook sync backend
+ * POSTs the SyncManager.buildPayload output as-is to a collector URL
+ */
+
+const WebhookBackend = {
+  id: 'webhook',
+  label: 'JSON webhook',
+  remote: true,
+
+  /**
+   * Get webhook settings with defaults filled in
+   * @param {object} config - Extension configuration
+   * @returns {object} { url, headers, validateUrl, fetchUrl }
+   */
+  getSettings(config) {
+    return {
+      url: '',
+      headers: '',
+      validateUrl: '',
+      fetchUrl: '',
+      ...config.webhook
+    };
+  },
+
+  /**
+   * Check if the collector URL is set
+   * @param {object} config - Extension configuration
+   * @returns {boolean} Whether the backend can be used
+   */
+  isConfigured(config) {
+    return Boolean(this.getSettings(config).url);
+  },
+
+  /**
+   * Parse auth headers entered as one "Name: value" pair per line
+   * @param {string} text - Header lines
+   * @returns {object} Header name to value map
+   */
+  parseHeaders(text) {
+    const headers = {};
+    (text || '').split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+
+      const name = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (name) headers[name] = value;
+    });
+    return headers;
+  },
+
+  /**
+   * Build request headers including the configured auth headers
+   */
+  getHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      ...this.parseHeaders(this.getSettings(config).headers)
+    };
+  },
+
+  /**
+   * Validate the user against the optional validation URL
+   * The endpoint receives { user_id } and answers true/false or { valid, error }.
+   * Without a validation URL every user is accepted.
+   * @param {string} userId - User ID to validate
+   * @param {object} config - Extension configuration
+   * @returns {object} Validation result
+   */
+  async validateUser(userId, config) {
+    const settings = this.getSettings(config);
+
+    if (!settings.url) {
+      return { valid: false, error: 'Webhook URL not set', permanent: true };
+    }
+
+    if (!settings.validateUrl) {
+      return { valid: true };
+    }
+
+    try {
+      const response = await Utils.request(settings.validateUrl, {
+        method: 'POST',
+        headers: this.getHeaders(config),
+        body: JSON.stringify({ user_id: userId })
+      });
+
+      const result = await response.json();
+
+      if (result === true || (result && result.valid === true)) {
+        return { valid: true };
+      }
+
+      return {
+        valid: false,
+        error: (result && result.error) || 'User not accepted by webhook',
+        permanent: true
+      };
+    } catch (error) {
+      console.error('[Sync] Webhook validation error:', error);
+      return { valid: false, error: error.message, permanent: Utils.isPermanentError(error) };
+    }
+  },
+
+  /**
+   * POST the sync payload to the collector
+   * Every session carries its session_id so the collector can dedupe re-sent batches.
+   * @param {object} payload - Output of SyncManager.buildPayload
+   * @param {object} config - Extension configuration
+   */
+  async send(payload, config) {
+    await Utils.request(this.getSettings(config).url, {
+      method: 'POST',
+      headers: this.getHeaders(config),
+      body: JSON.stringify(payload)
+    });
+  },
+
+  /**
+   * Read data back from the optional fetch URL
+   * The resource name and query are passed as query string parameters.
+   * @param {string} resource - Resource name (e.g. 'domain_totals')
+   * @param {object} query - Filter values
+   * @param {object} config - Extension configuration
+   * @returns {Array} Rows returned by the collector, or [] without a fetch URL
+   */
+  async fetch(resource, query, config) {
+    const settings = this.getSettings(config);
+    if (!settings.fetchUrl) return [];
+
+    const url = new URL(settings.fetchUrl);
+    url.searchParams.set('resource', resource);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+
+    const response = await Utils.request(url.toString(), {
+      headers: this.getHeaders(config)
+    });
+
+    return response.json();
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebhookBackend;
+}
@@ -11,6 +11,12 @@ const TrackerState = {
   // Current active session
   currentSession: null,
   
+  // Active tabs of the other visible windows in multi-window mode ({ windowId: session })
+  windowSessions: {},
+  
+  // Background audio sessions, tracked alongside the current one ({ tabId: session })
+  listeningSessions: {},
+  
   // Device and config info (loaded from storage)
   deviceId: null,
   config: null,
@@ -19,8 +25,11 @@ const TrackerState = {
   isIdle: false,
   idleThresholdSeconds: 300, // 5 minutes default
   
-  // Pending sessions to be saved
-  pendingSessions: [],
+  // In-flight refresh of server totals
+  serverTotalsRefresh: null,
+  
+  // End of a tracking pause (seconds), mirrored to storage.local
+  pausedUntil: null,
   
   // Initialization flag
   initialized: false
@@ -28,9 +37,22 @@ const TrackerState = {
 
 // Default configuration
 const DEFAULT_CONFIG = {
+  syncBackend: 'supabase', // See backends/registry.js
   apiEndpoint: '',
   apiKey: '',
+  webhook: {
+    url: '',
+    headers: '', // One "Name: value" per line
+    validateUrl: '',
+    fetchUrl: ''
+  },
+  couchdb: {
+    url: '',
+    username: '',
+    password: ''
+  },
   syncIntervalMinutes: 180, // 3 hours
+  syncChunkSize: 200, // Sessions per upload request
   userId: '',
   deviceProfile: {
     type: 'laptop',
@@ -40,9 +62,45 @@ const DEFAULT_CONFIG = {
   },
   idleDetectionEnabled: false, // Default: always track active tab
   idleThresholdMinutes: 5,
-  archiveRetentionDays: 30
+  mediaTracking: {
+    mode: 'all', // Playback that keeps counting while idle: 'all', 'listed' or 'off' (see media.js)
+    domains: [] // Domain patterns for 'listed'
+  },
+  backgroundAudioEnabled: false, // Track audible background tabs as listening sessions
+  multiWindowEnabled: false, // Also track the active tab of every visible window (see windows.js)
+  archiveRetentionDays: 30,
+  serverTotalsEnabled: false, // Read all-time totals back from the backend's domain_totals
+  domainGrouping: 'hostname', // 'hostname' or 'site' (registrable domain, opt-in; see domains.js)
+  domainAliases: [], // { name, domains: [patterns] }, counted as one site
+  incognitoPolicy: 'sync', // Private windows: 'ignore', 'local' (never uploaded or exported) or 'sync' (see sync.js)
+  excludedDomains: [], // Domain patterns that are never recorded
+  badgeMetric: 'site', // Toolbar badge: 'site', 'today', 'limit' or 'off' (see badge.js)
+  backup: {
+    frequency: 'off', // 'off', 'daily' or 'weekly' (see backups.js)
+    keep: 7 // Backups kept before the oldest is deleted
+  },
+  privacyLevel: 'full', // How much of each URL is stored: 'full', 'no-query', 'hashed-path' or 'domain-only' (see privacy.js)
+  privacyOverrides: [], // { pattern, level }, overriding privacyLevel for matching domains
+  pathTracking: [], // { domain, depth, pattern }: per-path totals for these domains (see paths.js)
+  categoryRules: [], // { type: 'domain'|'wildcard'|'path'|'regex', pattern, category } (see categories.js)
+  productivity: {
+    categoryLabels: {}, // { category: 'productive'|'neutral'|'distracting' }, overriding productivity.js defaults
+    domainLabels: [], // { pattern, label }, overriding category labels
+    weeklySummaryEnabled: true
+  },
+  limits: [], // Daily limits: { pattern, minutesPerDay, block } (see limits.js)
+  focus: {
+    name: 'Distractions',
+    domains: [], // Domain patterns, as for limits
+    mode: 'block', // 'block' or 'warn'
+    schedules: [], // { days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM' } (see focus.js)
+    pomodoroMinutes: 25
+  }
 };
 
+// How long server totals are reused before they are fetched again
+const SERVER_TOTALS_MAX_AGE_SECONDS = 60 * 60;
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -59,20 +117,50 @@ async function initialize() {
     // Load or generate device ID
     await initializeDeviceId();
     
-    // Load configuration
+    // Load encryption settings (locked until the passphrase is entered) and configuration
+    await Encryption.load();
     await loadConfig();
     
-    // Load any pending sessions from storage
+    // Move sessions from storage.local into IndexedDB (first run after update)
+    await SessionStore.migrateFromStorageLocal();
+    
+    // Build daily rollups from existing sessions (first run after update)
+    await Rollups.ensureBuilt();
+    
+    // Log pending sessions waiting for sync
     await loadPendingSessions();
     
     // Set up alarm for periodic sync
     await setupSyncAlarm();
     
+    // Resume any pending retry of failed syncs
+    await SyncManager.restoreRetryAlarm();
+    
+    // Set up alarm for the weekly summary notification
+    await setupWeeklySummaryAlarm();
+    
+    // Check daily limits while limits are configured
+    await setupLimitsAlarm();
+    
+    // Check focus schedules and resume a manual focus session
+    await setupFocusAlarm();
+    await Focus.restoreEndAlarm();
+    
+    // Keep a tracking pause across restarts, or end it if it ran out meanwhile
+    await restorePause();
+    
+    // Keep the toolbar badge up to date
+    await setupBadgeAlarm();
+    
+    // Schedule local backups, catching up on one that is overdue
+    await Backups.schedule(TrackerState.config.backup);
+    
     // Set up idle detection if enabled
     setupIdleDetection();
     
-    // Start tracking the current active tab
+    // Start tracking the current active tab, other visible windows and any audio playing in the background
     await startTrackingActiveTab();
+    await updateConcurrentSessions();
     
     TrackerState.initialized = true;
     console.log('[Tracker] Initialized successfully');
@@ -103,25 +191,90 @@ async function initializeDeviceId() {
 async function loadConfig() {
   const stored = await browser.storage.local.get('config');
   TrackerState.config = { ...DEFAULT_CONFIG, ...stored.config };
+  Domains.configure(TrackerState.config.domainAliases);
+  
+  // Secrets sealed at rest stay blank until encryption is unlocked
+  if (TrackerState.config.sealedSecrets && !Encryption.isLocked()) {
+    const secrets = JSON.parse(await Encryption.open(TrackerState.config.sealedSecrets));
+    TrackerState.config = withSecrets(TrackerState.config, secrets);
+  }
   
   // Update idle threshold
   TrackerState.idleThresholdSeconds = TrackerState.config.idleThresholdMinutes * 60;
 }
 
 /**
- * Load pending sessions from storage
+ * Write the configuration to storage, sealing secrets when encrypting at rest
+ */
+async function storeConfig() {
+  if (!Encryption.isAtRest()) {
+    delete TrackerState.config.sealedSecrets;
+    await browser.storage.local.set({ config: TrackerState.config });
+    return;
+  }
+  
+  // While locked the secrets in memory are blank, so the sealed ones are kept
+  if (!Encryption.isLocked()) {
+    TrackerState.config.sealedSecrets = await Encryption.seal(JSON.stringify(getSecrets(TrackerState.config)));
+  }
+  await browser.storage.local.set({
+    config: withSecrets(TrackerState.config, { apiKey: '', webhookHeaders: '', couchdbPassword: '' })
+  });
+}
+
+/**
+ * Get the secret settings (credentials) from a config
+ */
+function getSecrets(config) {
+  return {
+    apiKey: config.apiKey,
+    webhookHeaders: config.webhook.headers,
+    couchdbPassword: config.couchdb.password
+  };
+}
+
+/**
+ * Copy a config with its secret settings replaced
+ */
+function withSecrets(config, secrets) {
+  return {
+    ...config,
+    apiKey: secrets.apiKey,
+    webhook: { ...config.webhook, headers: secrets.webhookHeaders },
+    couchdb: { ...config.couchdb, password: secrets.couchdbPassword }
+  };
+}
+
+/**
+ * Count pending sessions in storage
  */
 async function loadPendingSessions() {
-  const stored = await browser.storage.local.get('pendingSessions');
-  TrackerState.pendingSessions = stored.pendingSessions || [];
-  console.log(`[Tracker] Loaded ${TrackerState.pendingSessions.length} pending sessions`);
+  const count = await SessionStore.countByState(SYNC_STATE.PENDING);
+  console.log(`[Tracker] Loaded ${count} pending sessions`);
+}
+
+/**
+ * Save a finished session as pending and add it to the daily rollups
+ * @param {object} session - Finished session
+ */
+async function savePendingSession(session) {
+  await Rollups.recordSession(await prepareForStorage({ ...session, syncState: SYNC_STATE.PENDING }));
+  
+  Badge.invalidate();
+  updateBadge();
 }
 
 /**
- * Save pending sessions to storage
+ * Get the copy of a session that may be stored
+ * The session is redacted to its privacy level first, so nothing stored
+ * holds more of the URL or title than allowed, then sealed when encrypting
+ * at rest.
+ * @param {object} session - Session
+ * @returns {object} Stored copy
  */
-async function savePendingSessions() {
-  await browser.storage.local.set({ pendingSessions: TrackerState.pendingSessions });
+async function prepareForStorage(session) {
+  const redacted = await Privacy.redact(session, TrackerState.config);
+  return Encryption.isAtRest() ? Encryption.sealSession(redacted) : redacted;
 }
 
 // ============================================================================
@@ -153,46 +306,139 @@ function startSession(tab) {
   // End any existing session first
   endCurrentSession();
   
-  // Don't track if idle detection is enabled and user is idle
+  if (!Utils.isTrackableUrl(tab.url)) {
+    console.log('[Tracker] Non-trackable URL, skipping:', tab.url);
+    return;
+  }
+  
+  // While idle, only playing media is tracked, as passive time
+  const domain = Utils.extractDomain(tab.url);
+  let activityType = ACTIVITY_TYPE.INTERACTIVE;
   if (TrackerState.config.idleDetectionEnabled && TrackerState.isIdle) {
-    console.log('[Tracker] User is idle, not starting new session');
+    if (!isCountedMedia(tab, domain)) {
+      console.log('[Tracker] User is idle, not starting new session');
+      return;
+    }
+    activityType = ACTIVITY_TYPE.MEDIA;
+  }
+  
+  if (tab.incognito && TrackerState.config.incognitoPolicy === INCOGNITO_POLICY.IGNORE) {
+    console.log('[Tracker] Private window, not tracking');
     return;
   }
   
-  if (!Utils.isTrackableUrl(tab.url)) {
-    console.log('[Tracker] Non-trackable URL, skipping:', tab.url);
+  if (isPaused()) {
+    console.log('[Tracker] Tracking paused, not starting new session');
+    return;
+  }
+  
+  if (isExcludedDomain(domain)) {
+    console.log('[Tracker] Excluded domain, not tracking');
     return;
   }
   
-  TrackerState.currentSession = {
+  TrackerState.currentSession = createSession(tab, domain, activityType);
+  
+  // The tab's window and background audio are now part of the current session
+  if (TrackerState.windowSessions[tab.windowId]) {
+    endWindowSession(tab.windowId);
+  }
+  if (TrackerState.listeningSessions[tab.id]) {
+    endListeningSession(tab.id);
+  }
+  
+  console.log('[Tracker] Started session:', TrackerState.currentSession.domain, tab.incognito ? '(private)' : '', activityType);
+  updateBadge();
+  
+  // Block straight away during focus time or if the site's limit is used up
+  checkNewSession(TrackerState.currentSession);
+}
+
+/**
+ * Build a new session for a tab
+ * @param {object} tab - Tab object
+ * @param {string} domain - Tab's domain
+ * @param {string} activityType - One of ACTIVITY_TYPE
+ * @returns {object} Session starting now
+ */
+function createSession(tab, domain, activityType) {
+  return {
+    id: Utils.generateUUID(),
     url: tab.url,
-    domain: Utils.extractDomain(tab.url),
+    domain,
+    category: activityType === ACTIVITY_TYPE.LISTENING
+      ? LISTENING_CATEGORY
+      : Categories.categorize(tab.url, domain, TrackerState.config.categoryRules),
+    path: Paths.getPathKey(tab.url, domain, TrackerState.config.pathTracking),
     title: tab.title || 'Untitled',
     startTimestamp: Utils.getCurrentTimestamp(),
     endTimestamp: null,
     durationSeconds: 0,
     tabId: tab.id,
-    incognito: tab.incognito || false
+    windowId: tab.windowId ?? null,
+    incognito: tab.incognito || false,
+    activityType
   };
+}
+
+/**
+ * Get every running session: the current one, other windows' and background audio
+ * @returns {Array} Running sessions
+ */
+function getRunningSessions() {
+  return [
+    TrackerState.currentSession,
+    ...Object.values(TrackerState.windowSessions),
+    ...Object.values(TrackerState.listeningSessions)
+  ].filter(Boolean);
+}
+
+/**
+ * End a session now, noting how much of it overlaps time other sessions already counted
+ * @param {object} session - Running session (changed in place)
+ */
+function closeSession(session) {
+  const now = Utils.getCurrentTimestamp();
+  session.endTimestamp = now;
+  session.durationSeconds = now - session.startTimestamp;
+  
+  const running = getRunningSessions().filter(other => other !== session);
+  session.overlapSeconds = Windows.count(session, Math.min(...running.map(other => other.startTimestamp)));
+}
+
+/**
+ * Whether a tab may be tracked at all (URL, private window policy and exclusions)
+ * @param {object} tab - Tab object
+ */
+function isTrackableTab(tab) {
+  if (!Utils.isTrackableUrl(tab.url)) return false;
+  if (tab.incognito && TrackerState.config.incognitoPolicy === INCOGNITO_POLICY.IGNORE) return false;
   
-  console.log('[Tracker] Started session:', TrackerState.currentSession.domain, tab.incognito ? '(private)' : '');
+  return !isExcludedDomain(Utils.extractDomain(tab.url));
+}
+
+/**
+ * Whether a domain is on the user's exclusion list
+ * @param {string} domain - Domain name
+ * @returns {boolean} True if the domain must never be recorded
+ */
+function isExcludedDomain(domain) {
+  return TrackerState.config.excludedDomains.some(pattern => Domains.matches(pattern, domain));
 }
 
 /**
  * End the current tracking session and save it
+ * @returns {Promise} Resolves once the session is stored
  */
 function endCurrentSession() {
-  if (!TrackerState.currentSession) return;
+  if (!TrackerState.currentSession) return Promise.resolve();
   
-  const now = Utils.getCurrentTimestamp();
-  TrackerState.currentSession.endTimestamp = now;
-  TrackerState.currentSession.durationSeconds = 
-    now - TrackerState.currentSession.startTimestamp;
+  closeSession(TrackerState.currentSession);
   
   // Only save if duration is at least 1 second
+  let saved = Promise.resolve();
   if (TrackerState.currentSession.durationSeconds >= 1) {
-    TrackerState.pendingSessions.push({ ...TrackerState.currentSession });
-    savePendingSessions();
+    saved = savePendingSession({ ...TrackerState.currentSession });
     console.log('[Tracker] Ended session:', 
       TrackerState.currentSession.domain, 
       `(${TrackerState.currentSession.durationSeconds}s)`
@@ -200,6 +446,11 @@ function endCurrentSession() {
   }
   
   TrackerState.currentSession = null;
+  updateBadge();
+  
+  // Its window may still be visible, or the tab carry on playing in the background
+  updateConcurrentSessions();
+  return saved;
 }
 
 /**
@@ -232,6 +483,15 @@ browser.tabs.onActivated.addListener(async (activeInfo) => {
     const tab = await browser.tabs.get(activeInfo.tabId);
     console.log('[Tracker] Tab activated:', tab.url);
     
+    // In another visible window, the tab takes over that window's session
+    if (TrackerState.config.multiWindowEnabled) {
+      const win = await browser.windows.get(activeInfo.windowId);
+      if (!win.focused) {
+        await updateConcurrentSessions();
+        return;
+      }
+    }
+    
     if (Utils.isTrackableUrl(tab.url)) {
       endCurrentSession();
       startSession(tab);
@@ -245,9 +505,35 @@ browser.tabs.onActivated.addListener(async (activeInfo) => {
 
 // Tab updated (URL or title changed)
 browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // A new page starts out not playing
+  if (changeInfo.url) Media.forgetTab(tabId);
+  
+  // Background audio can start, stop or change page in any tab
+  const listening = TrackerState.listeningSessions[tabId];
+  if ('audible' in changeInfo || changeInfo.mutedInfo || (changeInfo.url && listening)) {
+    updateListeningSessions();
+  } else if (changeInfo.title && listening) {
+    listening.title = tab.title;
+  }
+  
   // Only care about the active tab
   if (!tab.active) return;
   
+  // Other windows' tabs only change their own session
+  const windowSession = TrackerState.windowSessions[tab.windowId];
+  if (windowSession && windowSession.tabId === tabId) {
+    if (changeInfo.url) {
+      updateConcurrentSessions();
+    } else if (changeInfo.title) {
+      windowSession.title = tab.title;
+    }
+    return;
+  }
+  
+  if ('audible' in changeInfo) {
+    handleMediaChange(tab);
+  }
+  
   // Only care about URL or title changes
   if (!changeInfo.url && !changeInfo.title) return;
   
@@ -266,6 +552,15 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 // Tab closed
 browser.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  Media.forgetTab(tabId);
+  
+  if (TrackerState.listeningSessions[tabId]) {
+    endListeningSession(tabId);
+  }
+  if (TrackerState.windowSessions[removeInfo.windowId]?.tabId === tabId) {
+    endWindowSession(removeInfo.windowId);
+  }
+  
   if (TrackerState.currentSession && TrackerState.currentSession.tabId === tabId) {
     console.log('[Tracker] Active tab closed');
     endCurrentSession();
@@ -283,6 +578,16 @@ browser.windows.onFocusChanged.addListener(async (windowId) => {
     console.log('[Tracker] Browser gained focus');
     await startTrackingActiveTab();
   }
+  
+  // Other windows are only tracked while the browser has focus
+  await updateConcurrentSessions();
+});
+
+// Window closed
+browser.windows.onRemoved.addListener((windowId) => {
+  if (TrackerState.windowSessions[windowId]) {
+    endWindowSession(windowId);
+  }
 });
 
 // ============================================================================
@@ -308,12 +613,227 @@ browser.idle.onStateChanged.addListener((state) => {
   if (state === 'idle' || state === 'locked') {
     TrackerState.isIdle = true;
     endCurrentSession();
+    
+    // Playing media in the active tab keeps counting, as passive time
+    startTrackingActiveTab();
   } else if (state === 'active') {
     TrackerState.isIdle = false;
     startTrackingActiveTab();
   }
+  
+  // Other windows are only tracked while the user is active
+  updateConcurrentSessions();
 });
 
+// ============================================================================
+// Media Playback
+// ============================================================================
+
+/**
+ * Whether a tab's playback keeps it tracked while the user is idle
+ * @param {object} tab - Tab object
+ * @param {string} domain - Tab's domain
+ */
+function isCountedMedia(tab, domain) {
+  return Media.isPlaying(tab) && Media.isCounted(domain, TrackerState.config.mediaTracking);
+}
+
+/**
+ * Start or end passive media time when playback changes in the active tab while idle
+ * @param {object} tab - Tab whose playback changed
+ */
+function handleMediaChange(tab) {
+  if (!TrackerState.config.idleDetectionEnabled || !TrackerState.isIdle || !tab.active) return;
+  
+  const current = TrackerState.currentSession;
+  if (current && current.tabId !== tab.id) return;
+  
+  if (!current) {
+    startSession(tab);
+  } else if (!isCountedMedia(tab, current.domain)) {
+    console.log('[Tracker] Playback stopped while idle');
+    endCurrentSession();
+  }
+}
+
+// ============================================================================
+// Background Audio
+// ============================================================================
+
+/**
+ * Whether a tab gets a listening session: audible, allowed by the same
+ * rules as other sessions, and not already tracked as a window's tab
+ * @param {object} tab - Tab object
+ */
+function isListeningTab(tab) {
+  if (!Media.isListening(tab) || !isTrackableTab(tab)) return false;
+  
+  return TrackerState.currentSession?.tabId !== tab.id
+    && TrackerState.windowSessions[tab.windowId]?.tabId !== tab.id;
+}
+
+/**
+ * Start and end listening sessions to match the audible background tabs
+ * A tab that changes page gets a new session, like the current one does.
+ */
+async function updateListeningSessions() {
+  let tabs = [];
+  if (TrackerState.config.backgroundAudioEnabled && !isPaused()) {
+    try {
+      tabs = await browser.tabs.query({ audible: true });
+    } catch (error) {
+      console.error('[Tracker] Error finding audible tabs:', error);
+      return;
+    }
+  }
+  
+  const listeningTabs = new Set();
+  tabs.filter(isListeningTab).forEach((tab) => {
+    listeningTabs.add(tab.id);
+    
+    const existing = TrackerState.listeningSessions[tab.id];
+    if (existing && existing.url !== tab.url) {
+      endListeningSession(tab.id);
+    }
+    if (!TrackerState.listeningSessions[tab.id]) {
+      startListeningSession(tab);
+    }
+  });
+  
+  const ended = Object.keys(TrackerState.listeningSessions)
+    .map(Number)
+    .filter(tabId => !listeningTabs.has(tabId))
+    .map(tabId => endListeningSession(tabId));
+  await Promise.all(ended);
+}
+
+/**
+ * Start a listening session for an audible background tab
+ * @param {object} tab - Tab object
+ */
+function startListeningSession(tab) {
+  const session = createSession(tab, Utils.extractDomain(tab.url), ACTIVITY_TYPE.LISTENING);
+  TrackerState.listeningSessions[tab.id] = session;
+  console.log('[Tracker] Started listening session:', session.domain, tab.incognito ? '(private)' : '');
+  checkNewSession(session);
+}
+
+/**
+ * End a tab's listening session and save it
+ * @param {number} tabId - Tab ID
+ * @returns {Promise} Resolves once the session is stored
+ */
+function endListeningSession(tabId) {
+  return endConcurrentSession(TrackerState.listeningSessions, tabId);
+}
+
+// ============================================================================
+// Multi-Window Tracking
+// ============================================================================
+
+/**
+ * Start and end sessions for the active tabs of the other visible windows
+ * Like the current session, they only run while a browser window has focus
+ * and the user isn't idle. A window whose tab changes gets a new session.
+ */
+async function updateWindowSessions() {
+  let windows = [];
+  const idle = TrackerState.config.idleDetectionEnabled && TrackerState.isIdle;
+  if (TrackerState.config.multiWindowEnabled && !isPaused() && !idle) {
+    try {
+      windows = await browser.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    } catch (error) {
+      console.error('[Tracker] Error listing windows:', error);
+      return;
+    }
+  }
+  if (!windows.some(win => win.focused)) windows = [];
+  
+  const trackedWindows = new Set();
+  windows.filter(win => !win.focused && Windows.isVisible(win)).forEach((win) => {
+    const tab = (win.tabs || []).find(t => t.active);
+    if (!tab || !isTrackableTab(tab) || TrackerState.currentSession?.tabId === tab.id) return;
+    trackedWindows.add(win.id);
+    
+    const existing = TrackerState.windowSessions[win.id];
+    if (existing && (existing.tabId !== tab.id || existing.url !== tab.url)) {
+      endWindowSession(win.id);
+    }
+    if (!TrackerState.windowSessions[win.id]) {
+      startWindowSession(tab);
+    }
+  });
+  
+  const ended = Object.keys(TrackerState.windowSessions)
+    .map(Number)
+    .filter(windowId => !trackedWindows.has(windowId))
+    .map(windowId => endWindowSession(windowId));
+  await Promise.all(ended);
+}
+
+/**
+ * Start a session for the active tab of a visible, unfocused window
+ * @param {object} tab - Tab object
+ */
+function startWindowSession(tab) {
+  const session = createSession(tab, Utils.extractDomain(tab.url), ACTIVITY_TYPE.INTERACTIVE);
+  TrackerState.windowSessions[tab.windowId] = session;
+  console.log('[Tracker] Started window session:', session.domain, 'in window', tab.windowId);
+  
+  // The tab's background audio is now part of the window's session
+  if (TrackerState.listeningSessions[tab.id]) {
+    endListeningSession(tab.id);
+  }
+  checkNewSession(session);
+}
+
+/**
+ * End a window's session and save it
+ * @param {number} windowId - Window ID
+ * @returns {Promise} Resolves once the session is stored
+ */
+function endWindowSession(windowId) {
+  return endConcurrentSession(TrackerState.windowSessions, windowId);
+}
+
+/**
+ * Bring the other windows' and background audio sessions up to date
+ * Windows go first, as their tabs don't get listening sessions.
+ */
+async function updateConcurrentSessions() {
+  await updateWindowSessions();
+  await updateListeningSessions();
+}
+
+/**
+ * Remove a session from the running window or listening sessions, end it and save it
+ * @param {object} sessions - TrackerState.windowSessions or TrackerState.listeningSessions
+ * @param {number} key - Window or tab ID
+ * @returns {Promise} Resolves once the session is stored
+ */
+function endConcurrentSession(sessions, key) {
+  const session = sessions[key];
+  if (!session) return Promise.resolve();
+  delete sessions[key];
+  
+  closeSession(session);
+  if (session.durationSeconds < 1) return Promise.resolve();
+  
+  console.log('[Tracker] Ended', session.activityType, 'session:', session.domain, `(${session.durationSeconds}s)`);
+  return savePendingSession(session);
+}
+
+/**
+ * End every window and listening session
+ * @returns {Promise} Resolves once the sessions are stored
+ */
+function endConcurrentSessions() {
+  return Promise.all([
+    ...Object.keys(TrackerState.windowSessions).map(windowId => endWindowSession(Number(windowId))),
+    ...Object.keys(TrackerState.listeningSessions).map(tabId => endListeningSession(Number(tabId)))
+  ]);
+}
+
 // ============================================================================
 // Sync Scheduling
 // ============================================================================
@@ -337,11 +857,51 @@ async function setupSyncAlarm() {
   console.log('[Tracker] Sync alarm set for every', intervalMinutes, 'minutes');
 }
 
+/**
+ * Set up alarm for the weekly summary notification (Mondays at 09:00)
+ */
+async function setupWeeklySummaryAlarm() {
+  // Clear existing alarm
+  await browser.alarms.clear(WEEKLY_SUMMARY_ALARM_NAME);
+  
+  if (!TrackerState.config.productivity?.weeklySummaryEnabled) return;
+  
+  // Create new alarm
+  const when = Productivity.getNextSummaryTime();
+  browser.alarms.create(WEEKLY_SUMMARY_ALARM_NAME, {
+    when,
+    periodInMinutes: 7 * 24 * 60
+  });
+  
+  console.log('[Tracker] Weekly summary alarm set for', new Date(when).toString());
+}
+
 // Alarm listener
 browser.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === SYNC_ALARM_NAME) {
     console.log('[Tracker] Sync alarm triggered');
     await performSync();
+  } else if (alarm.name === RETRY_ALARM_NAME) {
+    console.log('[Tracker] Retry alarm triggered');
+    await SyncManager.retryFailedSyncs(TrackerState.deviceId, TrackerState.config);
+  } else if (alarm.name === WEEKLY_SUMMARY_ALARM_NAME) {
+    console.log('[Tracker] Weekly summary alarm triggered');
+    await Productivity.sendWeeklySummary(TrackerState.config);
+  } else if (alarm.name === LIMITS_ALARM_NAME) {
+    await checkLimits();
+  } else if (alarm.name === FOCUS_ALARM_NAME) {
+    await checkFocus();
+  } else if (alarm.name === FOCUS_END_ALARM_NAME) {
+    console.log('[Tracker] Focus session ended');
+    await Focus.finishManual();
+  } else if (alarm.name === PAUSE_ALARM_NAME) {
+    console.log('[Tracker] Pause ended');
+    await resumeTracking();
+  } else if (alarm.name === BADGE_ALARM_NAME) {
+    await updateBadge();
+  } else if (alarm.name === BACKUP_ALARM_NAME) {
+    console.log('[Tracker] Backup alarm triggered');
+    await runBackup();
   }
 });
 
@@ -349,13 +909,341 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
 if (typeof window !== 'undefined') {
   window.addEventListener('online', async () => {
     console.log('[Tracker] Network online, checking for pending syncs');
-    const failedSyncs = await browser.storage.local.get('failedSyncs');
-    if (failedSyncs.failedSyncs && failedSyncs.failedSyncs.length > 0) {
-      await performSync();
+    const failedSyncs = await SyncManager.getFailedSyncs();
+    if (failedSyncs.length > 0) {
+      await SyncManager.retryFailedSyncs(TrackerState.deviceId, TrackerState.config);
+    }
+  });
+}
+
+// ============================================================================
+// Daily Limits
+// ============================================================================
+
+/**
+ * Check limits every minute, only while any are configured
+ */
+async function setupLimitsAlarm() {
+  await browser.alarms.clear(LIMITS_ALARM_NAME);
+  
+  if ((TrackerState.config.limits || []).length > 0) {
+    browser.alarms.create(LIMITS_ALARM_NAME, { periodInMinutes: 1 });
+  }
+}
+
+/**
+ * Evaluate daily limits against today's time plus every running session
+ * Other windows and background audio count and are blocked like the current tab.
+ */
+async function checkLimits() {
+  try {
+    await Limits.check(TrackerState.config.limits, getLiveSessions(getRunningSessions()));
+  } catch (error) {
+    console.error('[Tracker] Limit check failed:', error);
+  }
+}
+
+/**
+ * Check a newly started session against focus mode, then daily limits
+ * @param {object} session - Current, window or listening session that just started
+ */
+async function checkNewSession(session) {
+  const blocked = await checkFocus([session]);
+  if (!blocked) await checkLimits();
+}
+
+// ============================================================================
+// Focus Mode
+// ============================================================================
+
+/**
+ * Check focus schedules every minute, only while any are configured
+ */
+async function setupFocusAlarm() {
+  await browser.alarms.clear(FOCUS_ALARM_NAME);
+  
+  if ((TrackerState.config.focus?.schedules || []).length > 0) {
+    browser.alarms.create(FOCUS_ALARM_NAME, { periodInMinutes: 1 });
+  }
+}
+
+/**
+ * Block or warn about running sessions focus mode covers
+ * @param {Array} sessions - Sessions to check (defaults to every running session)
+ * @returns {boolean} Whether any tab was sent to the blocked page
+ */
+async function checkFocus(sessions = getRunningSessions()) {
+  let blocked = false;
+  for (const session of sessions) {
+    try {
+      blocked = await Focus.check(TrackerState.config.focus, session) || blocked;
+    } catch (error) {
+      console.error('[Tracker] Focus check failed:', error);
     }
+  }
+  return blocked;
+}
+
+/**
+ * Get focus mode state for the popup
+ * @returns {object} { active, manual, until, pomodoroMinutes }
+ */
+async function getFocusStatus() {
+  return {
+    ...(await Focus.getStatus(TrackerState.config.focus)),
+    pomodoroMinutes: TrackerState.config.focus.pomodoroMinutes
+  };
+}
+
+// ============================================================================
+// Tracking Pause
+// ============================================================================
+
+const PAUSE_ALARM_NAME = 'tracking-resume';
+
+/**
+ * Whether tracking is paused right now
+ */
+function isPaused() {
+  return TrackerState.pausedUntil !== null && TrackerState.pausedUntil > Utils.getCurrentTimestamp();
+}
+
+/**
+ * Pause tracking, ending the current session
+ * @param {number|string} duration - Minutes, or 'tomorrow' for the next local midnight
+ * @returns {object} Pause status
+ */
+async function pauseTracking(duration) {
+  const now = Utils.getCurrentTimestamp();
+  const until = duration === 'tomorrow'
+    ? Utils.parseDayKey(Utils.addDays(Utils.getDayKey(now), 1))
+    : now + Math.max(1, parseInt(duration) || 15) * 60;
+  
+  TrackerState.pausedUntil = until;
+  await endCurrentSession();
+  await endConcurrentSessions();
+  
+  await browser.storage.local.set({ pausedUntil: until });
+  browser.alarms.create(PAUSE_ALARM_NAME, { when: until * 1000 });
+  await updateBadge();
+  
+  console.log('[Tracker] Tracking paused until', new Date(until * 1000).toString());
+  return getPauseStatus();
+}
+
+/**
+ * End a tracking pause and start tracking the active tab again
+ * @returns {object} Pause status
+ */
+async function resumeTracking() {
+  TrackerState.pausedUntil = null;
+  await browser.storage.local.remove('pausedUntil');
+  await browser.alarms.clear(PAUSE_ALARM_NAME);
+  await updateBadge();
+  
+  await startTrackingActiveTab();
+  await updateConcurrentSessions();
+  return getPauseStatus();
+}
+
+/**
+ * Load a pause from storage after a restart
+ */
+async function restorePause() {
+  const stored = await browser.storage.local.get('pausedUntil');
+  TrackerState.pausedUntil = stored.pausedUntil || null;
+  
+  if (isPaused()) {
+    browser.alarms.create(PAUSE_ALARM_NAME, { when: TrackerState.pausedUntil * 1000 });
+    await updateBadge();
+  } else if (TrackerState.pausedUntil) {
+    TrackerState.pausedUntil = null;
+    await browser.storage.local.remove('pausedUntil');
+  }
+}
+
+/**
+ * Get pause state for the popup
+ * @returns {object} { paused, until }
+ */
+function getPauseStatus() {
+  return { paused: isPaused(), until: isPaused() ? TrackerState.pausedUntil : null };
+}
+
+// ============================================================================
+// Toolbar Badge
+// ============================================================================
+
+/**
+ * Refresh the badge every minute, unless it's turned off
+ */
+async function setupBadgeAlarm() {
+  await browser.alarms.clear(BADGE_ALARM_NAME);
+  
+  if (TrackerState.config.badgeMetric !== BADGE_METRIC.OFF) {
+    browser.alarms.create(BADGE_ALARM_NAME, { periodInMinutes: 1 });
+  }
+  await updateBadge();
+}
+
+/**
+ * Show the configured metric on the toolbar button, or the paused state
+ * Only today's cached totals and the live session are used (see badge.js).
+ */
+async function updateBadge() {
+  try {
+    await Badge.load();
+  } catch (error) {
+    console.error('[Tracker] Failed to read badge totals:', error);
+  }
+  
+  const badge = isPaused()
+    ? { text: '⏸', color: '#6b7280', title: 'paused' }
+    : Badge.get(TrackerState.config, getLiveSession(), getLiveSessions([
+      ...Object.values(TrackerState.windowSessions),
+      ...Object.values(TrackerState.listeningSessions)
+    ]));
+  
+  browser.browserAction.setBadgeText({ text: badge.text });
+  browser.browserAction.setBadgeBackgroundColor({ color: badge.color });
+  browser.browserAction.setTitle({
+    title: badge.title ? `Internet Usage Tracker (${badge.title})` : 'Internet Usage Tracker'
   });
 }
 
+// ============================================================================
+// Encryption
+// ============================================================================
+
+/**
+ * Turn encryption on and seal what is already stored
+ * @param {string} passphrase - New passphrase
+ * @param {object} options - { atRest, e2e }
+ * @returns {object} Encryption status, or { success: false, error }
+ */
+async function enableEncryption(passphrase, options) {
+  if (Encryption.isEnabled()) {
+    return { success: false, error: 'Encryption is already on' };
+  }
+  if (!passphrase) {
+    return { success: false, error: 'Enter a passphrase' };
+  }
+  
+  await Encryption.enable(passphrase, options, TrackerState.config.userId);
+  
+  if (Encryption.isAtRest()) {
+    await sealStoredData();
+    await storeConfig();
+  }
+  
+  console.log('[Tracker] Encryption enabled');
+  return { success: true, ...Encryption.getStatus() };
+}
+
+/**
+ * Unlock encryption and restore the config secrets
+ * @param {string} passphrase - Passphrase
+ * @returns {object} Encryption status, or { success: false, error }
+ */
+async function unlockEncryption(passphrase) {
+  if (!await Encryption.unlock(passphrase || '', TrackerState.config.userId)) {
+    return { success: false, error: 'Wrong passphrase' };
+  }
+  
+  await loadConfig();
+  if (Encryption.isAtRest()) {
+    await hashStoredPaths();
+  }
+  return { success: true, ...Encryption.getStatus() };
+}
+
+/**
+ * Open everything that is sealed, then turn encryption off
+ * @returns {object} Encryption status, or { success: false, error }
+ */
+async function disableEncryption() {
+  if (Encryption.isLocked()) {
+    return { success: false, error: 'Unlock encryption first' };
+  }
+  
+  const sealed = [];
+  await SessionStore.iterate(null, null, (session) => {
+    if (session.sealed) sealed.push(session);
+  });
+  await SessionStore.put(await Promise.all(sealed.map(session => Encryption.openSession(session))));
+  
+  // Path totals go back to plain path keys
+  const pathRows = (await Rollups.getPathRows()).filter(row => row.label);
+  await Rollups.replacePathRows(await Promise.all(pathRows.map(async (row) => {
+    const { label, ...rest } = row;
+    return { row, replacement: { ...rest, path: await Encryption.open(label) } };
+  })));
+  
+  await Encryption.disable();
+  await storeConfig();
+  
+  console.log('[Tracker] Encryption disabled, opened', sealed.length, 'sessions');
+  return { success: true, ...Encryption.getStatus() };
+}
+
+/**
+ * Seal the URL, title and path key of every stored session
+ * Titles kept in the rollups are replaced by the domain, since those are
+ * only shown as a hint.
+ */
+async function sealStoredData() {
+  const unsealed = [];
+  await SessionStore.iterate(null, null, (session) => {
+    if (!session.sealed) unsealed.push(session);
+  });
+  await SessionStore.put(await Promise.all(unsealed.map(session => Encryption.sealSession(session))));
+  await Rollups.redactTitles();
+  await hashStoredPaths();
+  
+  console.log('[Tracker] Sealed', unsealed.length, 'stored sessions');
+}
+
+/**
+ * Hash the path keys that are still stored in plain text (needs encryption unlocked)
+ * Covers sessions sealed while locked, which are then added to the path
+ * totals, sessions sealed before path keys were, and path rows.
+ */
+async function hashStoredPaths() {
+  const pending = [];
+  const unhashed = [];
+  await SessionStore.iterate(null, null, (session) => {
+    if (!session.sealed) return;
+    if (session.pathPending) {
+      pending.push(session);
+    } else if (session.path && !Encryption.isHashedPath(session.path)) {
+      unhashed.push(session);
+    }
+  });
+  
+  if (pending.length > 0) {
+    await Rollups.recordPendingPaths(await Promise.all(pending.map(async (stored) => {
+      const { path } = await Encryption.openSession(stored);
+      const { pathPending, ...session } = stored;
+      return { ...session, path: await Encryption.hashPath(path) };
+    })));
+  }
+  if (unhashed.length > 0) {
+    await SessionStore.put(await Promise.all(unhashed.map(async (stored) => {
+      return Encryption.sealSession(await Encryption.openSession(stored));
+    })));
+  }
+  
+  const pathRows = (await Rollups.getPathRows()).filter(row => !Encryption.isHashedPath(row.path));
+  await Rollups.replacePathRows(await Promise.all(pathRows.map(async (row) => ({
+    row,
+    replacement: { ...row, path: await Encryption.hashPath(row.path), label: await Encryption.seal(row.path) }
+  }))));
+  
+  if (pending.length + unhashed.length + pathRows.length > 0) {
+    console.log('[Tracker] Hashed', pending.length + unhashed.length, 'session and', pathRows.length, 'page path keys');
+  }
+}
+
 // ============================================================================
 // Sync Execution
 // ============================================================================
@@ -373,26 +1261,27 @@ async function performSync() {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
       if (tabs.length > 0) activeTabInfo = tabs[0];
     } catch (e) {}
-    endCurrentSession();
+    await endCurrentSession();
   }
+  await endConcurrentSessions();
   
-  // Perform the sync
+  // Perform the sync; pending sessions come out synced, archived or queued for retry
   const result = await SyncManager.sync(
-    TrackerState.pendingSessions,
+    await SessionStore.getByState(SYNC_STATE.PENDING),
     TrackerState.deviceId,
     TrackerState.config
   );
   
-  if (result.success) {
-    // Clear synced sessions
-    TrackerState.pendingSessions = [];
-    await savePendingSessions();
+  // Server totals now include what was just uploaded
+  if (result.synced > 0 && TrackerState.config.serverTotalsEnabled) {
+    refreshServerTotals();
   }
   
   // Restart session if there was an active one
   if (hadActiveSession && activeTabInfo && Utils.isTrackableUrl(activeTabInfo.url)) {
     startSession(activeTabInfo);
   }
+  await updateConcurrentSessions();
   
   return result;
 }
@@ -408,33 +1297,155 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
     case 'getStats':
       return getStats();
     
+    case 'mediaState':
+      if (sender.tab) {
+        Media.setPlaying(sender.tab.id, sender.frameId, message.playing);
+        handleMediaChange(sender.tab);
+      }
+      return { success: true };
+    
+    case 'getSitePages':
+      return getSitePages(message.hostnames || []);
+    
     case 'getCurrentSession':
       return getCurrentSessionInfo();
     
+    case 'getDashboardData':
+      return getDashboardData(message.from, message.to, message.groupBy);
+    
     case 'syncNow':
       return performSync();
     
+    case 'retryRejectedSyncs':
+      await SyncManager.requeueRejected();
+      return performSync();
+    
+    case 'discardRejectedSyncs':
+      return { success: true, discarded: await SyncManager.discardRejected() };
+    
+    case 'getSyncStatus':
+      return SyncManager.getStatus();
+    
     case 'validateUser':
       return SyncManager.validateUser(message.userId, message.config);
     
     case 'getConfig':
       return { config: TrackerState.config, deviceId: TrackerState.deviceId };
     
-    case 'saveConfig':
+    case 'saveConfig': {
+      // Secrets can't be sealed over while they are locked away
+      const touchesSecrets = ['apiKey', 'webhook', 'couchdb'].some(key => key in message.config);
+      if (touchesSecrets && Encryption.isLocked() && Encryption.isAtRest()) {
+        return { success: false, error: 'Unlock encryption to change these settings' };
+      }
+      
+      const previousUserId = TrackerState.config.userId;
       TrackerState.config = { ...TrackerState.config, ...message.config };
-      await browser.storage.local.set({ config: TrackerState.config });
+      await storeConfig();
+      Domains.configure(TrackerState.config.domainAliases);
+      
+      // The end-to-end sync key is derived from the user ID
+      if (TrackerState.config.userId !== previousUserId && Encryption.getStatus().e2e) {
+        Encryption.lock();
+        await loadConfig();
+      }
+      // Drop running sessions on a newly excluded domain without saving them
+      if (TrackerState.currentSession && isExcludedDomain(TrackerState.currentSession.domain)) {
+        TrackerState.currentSession = null;
+      }
+      [TrackerState.windowSessions, TrackerState.listeningSessions].forEach((sessions) => {
+        Object.entries(sessions).forEach(([key, session]) => {
+          if (isExcludedDomain(session.domain)) delete sessions[key];
+        });
+      });
+      await updateConcurrentSessions();
       await setupSyncAlarm();
+      await setupWeeklySummaryAlarm();
+      await setupLimitsAlarm();
+      await setupFocusAlarm();
+      await setupBadgeAlarm();
+      await Backups.schedule(TrackerState.config.backup);
       setupIdleDetection();
       return { success: true };
+    }
     
     case 'clearData':
-      TrackerState.pendingSessions = [];
-      await savePendingSessions();
-      await browser.storage.local.remove(['archive', 'failedSyncs']);
+      await SessionStore.clear();
+      await Rollups.clear();
+      await browser.storage.local.remove('serverTotals');
+      await SyncManager.clearRetryState();
+      await Limits.clearState();
+      await SessionStore.clearEvents();
+      Badge.invalidate();
+      await updateBadge();
       return { success: true };
     
     case 'exportData':
-      return exportData();
+      return exportData(message.options);
+    
+    case 'getBackupStatus':
+      return getBackupStatus();
+    
+    case 'backupNow':
+      return runBackup();
+    
+    case 'previewImport':
+      return importData(message.data, message.provenance, false);
+    
+    case 'importData':
+      return importData(message.data, message.provenance, true);
+    
+    case 'getFocusStatus':
+      return getFocusStatus();
+    
+    case 'getPauseStatus':
+      return getPauseStatus();
+    
+    case 'getEncryptionStatus':
+      return Encryption.getStatus();
+    
+    case 'enableEncryption':
+      return enableEncryption(message.passphrase, message.options);
+    
+    case 'unlockEncryption':
+      return unlockEncryption(message.passphrase);
+    
+    case 'lockEncryption':
+      Encryption.lock();
+      await loadConfig();
+      return Encryption.getStatus();
+    
+    case 'disableEncryption':
+      return disableEncryption();
+    
+    case 'pauseTracking':
+      return pauseTracking(message.duration);
+    
+    case 'resumeTracking':
+      return resumeTracking();
+    
+    case 'startFocus':
+      await Focus.startManual(message.minutes || TrackerState.config.focus.pomodoroMinutes);
+      await checkFocus();
+      return getFocusStatus();
+    
+    case 'stopFocus':
+      await Focus.stopManual();
+      return getFocusStatus();
+    
+    case 'focusBypass':
+      await Focus.bypass(message.domain);
+      if (sender.tab && message.url) {
+        await browser.tabs.update(sender.tab.id, { url: message.url });
+      }
+      return { success: true };
+    
+    case 'snoozeLimit':
+      await Limits.snooze(message.pattern);
+      if (sender.tab && message.url) {
+        await browser.tabs.update(sender.tab.id, { url: message.url });
+      }
+      return { success: true };
     
     default:
       console.warn('[Tracker] Unknown message action:', message.action);
@@ -460,84 +1471,395 @@ function getCurrentSessionInfo() {
 }
 
 /**
- * Get statistics for popup display
+ * Get the current session as if it ended now
+ * @returns {object|null} Session with live end timestamp and duration
  */
-async function getStats() {
-  const todayStart = Utils.getStartOfToday();
-  const archive = await browser.storage.local.get('archive');
-  const archivedSessions = archive.archive || [];
-  
-  // Combine pending and archived sessions
-  const allSessions = [...TrackerState.pendingSessions, ...archivedSessions];
+function getLiveSession() {
+  if (!TrackerState.currentSession) return null;
   
-  // Add current session if exists
-  if (TrackerState.currentSession) {
-    const now = Utils.getCurrentTimestamp();
-    allSessions.push({
-      ...TrackerState.currentSession,
-      endTimestamp: now,
-      durationSeconds: now - TrackerState.currentSession.startTimestamp
-    });
+  return getLiveSessions([TrackerState.currentSession])[0];
+}
+
+/**
+ * Get running sessions as if they ended now
+ * @param {Array} sessions - Running sessions
+ * @returns {Array} Sessions with live end timestamps and durations
+ */
+function getLiveSessions(sessions) {
+  const now = Utils.getCurrentTimestamp();
+  return sessions.map(session => ({
+    ...session,
+    endTimestamp: now,
+    durationSeconds: now - session.startTimestamp
+  }));
+}
+
+/**
+ * Get every running session as if it ended now, with the seconds it shares
+ * with time already counted measured (see windows.js), in the order getStats uses
+ * @returns {Array} Live sessions with overlapSeconds set
+ */
+function getMeasuredLiveSessions() {
+  return Windows.measure(getLiveSessions(getRunningSessions()));
+}
+
+/**
+ * Get the dashboard's charts for a range of days
+ * @param {string} from - First day key (inclusive)
+ * @param {string} to - Last day key (inclusive)
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {object} Result of Analytics.getDashboardData, or { success: false, error } for a bad range
+ */
+async function getDashboardData(from, to, groupBy) {
+  if (!Utils.isDayKey(from) || !Utils.isDayKey(to)) {
+    return { success: false, error: 'Pick a start and end date' };
+  }
+  if (from > to) {
+    return { success: false, error: 'The start date must not be after the end date' };
   }
   
-  // Calculate today's stats
-  const todaySessions = allSessions.filter(s => s.startTimestamp >= todayStart);
-  const todayTotal = todaySessions.reduce((sum, s) => sum + s.durationSeconds, 0);
-  
-  // Calculate all-time stats
-  const allTimeTotal = allSessions.reduce((sum, s) => sum + s.durationSeconds, 0);
-  
-  // Group by domain
+  return Analytics.getDashboardData({
+    from,
+    to,
+    groupBy,
+    liveSessions: getMeasuredLiveSessions(),
+    config: TrackerState.config
+  });
+}
+
+/**
+ * Get statistics for popup display
+ * All-time numbers come from the lifetime totals and today's from the daily
+ * rollups, plus the running sessions, so raw sessions are never scanned.
+ * Rows are grouped by site or hostname according to config.domainGrouping.
+ * Overlapping sessions count fully for each site, but only once in the totals.
+ */
+async function getStats() {
+  const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+  const rules = TrackerState.config.categoryRules;
+  const grouping = TrackerState.config.domainGrouping;
   const domainStats = {};
-  allSessions.forEach(session => {
-    if (!domainStats[session.domain]) {
-      domainStats[session.domain] = {
-        domain: session.domain,
+  const categoryStats = {};
+  let todayTotal = 0;
+  let allTimeTotal = 0;
+  const incognito = { todaySeconds: 0, totalSeconds: 0 };
+  
+  const getSite = (row) => {
+    const key = Domains.getGroupKey(row.domain, grouping);
+    if (!domainStats[key]) {
+      domainStats[key] = {
+        domain: key,
+        hostnames: [],
         totalSeconds: 0,
         todaySeconds: 0,
         sessions: 0,
-        lastTitle: session.title
+        firstVisit: row.firstVisit,
+        lastVisit: row.lastVisit,
+        lastTitle: row.lastTitle,
+        mediaSeconds: 0,
+        categorySeconds: {}
       };
     }
-    domainStats[session.domain].totalSeconds += session.durationSeconds;
-    domainStats[session.domain].sessions++;
-    domainStats[session.domain].lastTitle = session.title;
-    
-    if (session.startTimestamp >= todayStart) {
-      domainStats[session.domain].todaySeconds += session.durationSeconds;
+    if (!domainStats[key].hostnames.includes(row.domain)) {
+      domainStats[key].hostnames.push(row.domain);
     }
+    return domainStats[key];
+  };
+  
+  const addToCategories = (split, field) => {
+    Object.entries(split).forEach(([category, seconds]) => {
+      if (!categoryStats[category]) {
+        categoryStats[category] = { category, totalSeconds: 0, todaySeconds: 0 };
+      }
+      categoryStats[category][field] += seconds;
+    });
+  };
+  
+  const addLifetime = (row) => {
+    const site = getSite(row);
+    const split = Categories.splitRow(row, rules);
+    site.categorySeconds = Rollups.addCategories(site.categorySeconds, split);
+    addToCategories(split, 'totalSeconds');
+    site.totalSeconds += row.seconds;
+    site.mediaSeconds += row.mediaSeconds || 0;
+    site.sessions += row.sessions;
+    site.firstVisit = Math.min(site.firstVisit, row.firstVisit);
+    if (row.lastVisit >= site.lastVisit) {
+      site.lastVisit = row.lastVisit;
+      site.lastTitle = row.lastTitle;
+    }
+    allTimeTotal += row.seconds - (row.overlapSeconds || 0);
+    incognito.totalSeconds += row.incognitoSeconds || 0;
+  };
+  
+  const addToday = (row) => {
+    addToCategories(Categories.splitRow(row, rules), 'todaySeconds');
+    getSite(row).todaySeconds += row.seconds;
+    todayTotal += row.seconds - (row.overlapSeconds || 0);
+    incognito.todaySeconds += row.incognitoSeconds || 0;
+  };
+  
+  await Rollups.iterateLifetime(addLifetime);
+  await Rollups.iterate(addToday, todayKey, todayKey);
+  
+  // Add the running sessions, each counting fully towards its site but not twice towards the totals
+  const liveSession = getLiveSession();
+  const liveWindows = getLiveSessions(Object.values(TrackerState.windowSessions));
+  const liveListening = getLiveSessions(Object.values(TrackerState.listeningSessions));
+  const liveSessions = [liveSession, ...liveWindows, ...liveListening].filter(Boolean);
+  Windows.measure(liveSessions).forEach((session) => {
+    Rollups.getSessionRows(session).forEach((row) => {
+      addLifetime(row);
+      if (row.day === todayKey) addToday(row);
+    });
+  });
+  
+  // Attach each site's main category and today's progress towards its daily limit
+  const limitUsage = await Limits.getUsage(TrackerState.config.limits, liveSessions);
+  Object.values(domainStats).forEach(site => {
+    site.category = Object.keys(site.categorySeconds)
+      .sort((a, b) => site.categorySeconds[b] - site.categorySeconds[a])[0] || UNCATEGORIZED;
+    delete site.categorySeconds;
+    site.pathTracked = site.hostnames.some(hostname => Paths.isTracked(hostname, TrackerState.config.pathTracking));
+    
+    const limit = site.hostnames.map(hostname => Limits.findForDomain(limitUsage, hostname)).find(Boolean);
+    site.limit = limit ? {
+      pattern: limit.pattern,
+      usedSeconds: limit.usedSeconds,
+      limitSeconds: limit.limitSeconds
+    } : null;
   });
   
   // Convert to array and sort by total time
   const sites = Object.values(domainStats).sort((a, b) => b.totalSeconds - a.totalSeconds);
   
+  const { today: todayScore, average: averageScore } =
+    await Productivity.getSummary(TrackerState.config, liveSessions);
+  
   return {
     todayTotal,
     allTimeTotal,
+    grouping,
+    // Private-window time, unless it isn't tracked
+    incognito: TrackerState.config.incognitoPolicy === INCOGNITO_POLICY.IGNORE ? null : {
+      ...incognito,
+      policy: TrackerState.config.incognitoPolicy
+    },
+    productivity: { today: todayScore, average: averageScore },
+    serverTotals: await getServerTotals(),
     sites,
-    pendingCount: TrackerState.pendingSessions.length,
+    categories: Object.values(categoryStats).sort((a, b) => b.totalSeconds - a.totalSeconds),
+    pendingCount: await SessionStore.countByState(SYNC_STATE.PENDING),
     currentSession: TrackerState.currentSession ? {
       domain: TrackerState.currentSession.domain,
       durationSeconds: Utils.getCurrentTimestamp() - TrackerState.currentSession.startTimestamp
-    } : null
+    } : null,
+    windowSessions: liveWindows.map(session => ({
+      domain: session.domain,
+      durationSeconds: session.durationSeconds
+    })),
+    listeningSessions: liveListening.map(session => ({
+      domain: session.domain,
+      durationSeconds: session.durationSeconds
+    }))
   };
 }
 
 /**
- * Export all data as JSON
+ * Get a site's top pages for the popup
+ * @param {Array} hostnames - Hostnames grouped under the site
+ * @returns {Array} Up to SITE_PAGES_LIMIT path totals, most time first
  */
-async function exportData() {
-  const archive = await browser.storage.local.get('archive');
-  const allSessions = [...TrackerState.pendingSessions, ...(archive.archive || [])];
+async function getSitePages(hostnames) {
+  const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+  const pages = [];
   
-  return {
+  for (const hostname of hostnames) {
+    pages.push(...await Rollups.getPathTotals(hostname, todayKey));
+  }
+  
+  // Path keys are hashed when encrypting at rest; their labels open once unlocked
+  for (const page of pages) {
+    if (!Encryption.isHashedPath(page.path)) continue;
+    page.path = page.label && !Encryption.isLocked()
+      ? await Encryption.open(page.label)
+      : `🔒 ${page.path.slice(5, 13)}`;
+    delete page.label;
+  }
+  
+  // Add current session if it is on one of these pages
+  const liveSession = getLiveSession();
+  if (liveSession && liveSession.path && hostnames.includes(liveSession.domain)) {
+    let page = pages.find(p => p.domain === liveSession.domain && p.path === liveSession.path);
+    if (!page) {
+      page = { domain: liveSession.domain, path: liveSession.path, seconds: 0, todaySeconds: 0, sessions: 0 };
+      pages.push(page);
+    }
+    page.seconds += liveSession.durationSeconds;
+    page.sessions++;
+    page.lastVisit = liveSession.endTimestamp;
+    page.lastTitle = liveSession.title;
+    Rollups.getSessionRows(liveSession)
+      .filter(row => row.day === todayKey)
+      .forEach((row) => { page.todaySeconds += row.seconds; });
+  }
+  
+  return pages
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, SITE_PAGES_LIMIT);
+}
+
+/**
+ * Get cached server totals, refreshing them in the background when stale
+ * @returns {object|null} Server totals, or null when disabled or not fetched yet
+ */
+async function getServerTotals() {
+  if (!TrackerState.config.serverTotalsEnabled) return null;
+  
+  const cached = await SyncManager.getServerTotals();
+  const age = cached ? Utils.getCurrentTimestamp() - cached.fetchedAt : Infinity;
+  if (age > SERVER_TOTALS_MAX_AGE_SECONDS) {
+    refreshServerTotals();
+  }
+  
+  return cached;
+}
+
+/**
+ * Fetch server totals once at a time
+ */
+function refreshServerTotals() {
+  if (!TrackerState.serverTotalsRefresh) {
+    TrackerState.serverTotalsRefresh = SyncManager.fetchServerTotals(TrackerState.config)
+      .catch(error => console.error('[Tracker] Failed to fetch server totals:', error))
+      .finally(() => {
+        TrackerState.serverTotalsRefresh = null;
+      });
+  }
+  return TrackerState.serverTotalsRefresh;
+}
+
+/**
+ * Export sessions as a file
+ * Sealed sessions are exported opened, and private-window sessions kept
+ * local-only by the incognito policy are left out. A backup instead keeps
+ * every session exactly as stored, sealed ones included, so it never holds
+ * plaintext the store doesn't and can be taken while locked.
+ * @param {object} options - { format, from, to, domains, includeSecrets, includeDeviceIds }
+ *   (see exporter.js); everything as JSON when omitted
+ * @param {boolean} backup - Export for a backup, which stays on this device
+ * @returns {object} { content, type, extension, filename }
+ */
+async function exportData(options = {}, backup = false) {
+  if (!backup && Encryption.isAtRest() && Encryption.isLocked()) {
+    throw new Error('Unlock encryption to export');
+  }
+  
+  const from = options.from ? Utils.parseDayKey(options.from) : 0;
+  const to = options.to ? Utils.parseDayKey(Utils.addDays(options.to, 1)) : Infinity;
+  const stored = await SessionStore.getRange(from, to);
+  const sessions = Exporter.filterSessions(stored, { domains: options.domains || [] })
+    .filter(session => backup || SyncManager.isShareable(session, TrackerState.config));
+  
+  const file = Exporter.serialize(options.format, {
+    sessions: backup ? sessions : await Promise.all(sessions.map(session => Encryption.openSession(session))),
     deviceId: TrackerState.deviceId,
     config: TrackerState.config,
-    sessions: allSessions,
-    exportedAt: new Date().toISOString()
+    exportedAt: Utils.getCurrentTimestamp()
+  }, { ...options, keepSealed: backup });
+  
+  const today = Utils.getDayKey(Utils.getCurrentTimestamp());
+  return { ...file, filename: `internet-tracker-export-${today}.${file.extension}` };
+}
+
+/**
+ * Save a JSON backup now (see backups.js)
+ * Credentials are left out; device IDs are kept so a restore on a new
+ * profile can tell its own sessions apart. The file never leaves this
+ * device, so local-only private-window sessions are backed up too, and
+ * sessions sealed at rest stay sealed in it.
+ * @returns {object} Backup status, or { success: false, error }
+ */
+async function runBackup() {
+  try {
+    const file = await exportData({ format: EXPORT_FORMAT.JSON }, true);
+    await Backups.save(file, TrackerState.config.backup.keep);
+  } catch (error) {
+    console.error('[Tracker] Backup failed:', error);
+    await Backups.recordError(error);
+    return { success: false, error: error.message, ...(await getBackupStatus()) };
+  }
+  
+  return { success: true, ...(await getBackupStatus()) };
+}
+
+/**
+ * Get backup settings and history for the options page
+ * @returns {object} { lastBackup, lastError, lastErrorAt, backups, nextBackup }
+ */
+async function getBackupStatus() {
+  const alarm = await browser.alarms.get(BACKUP_ALARM_NAME);
+  return {
+    ...(await Backups.getState()),
+    nextBackup: alarm ? Math.floor(alarm.scheduledTime / 1000) : null
   };
 }
 
+/**
+ * Import sessions from an export, or preview what would be imported
+ * Sessions already stored are left alone, and the current privacy level,
+ * exclusions and private-window policy apply as if they were just recorded.
+ * @param {object} data - Parsed export file
+ * @param {string} provenance - One of IMPORT_PROVENANCE
+ * @param {boolean} commit - Whether to store the sessions or only count them
+ * @returns {object} { success, summary } or { success: false, error }
+ */
+async function importData(data, provenance, commit) {
+  let plan;
+  try {
+    plan = await Importer.plan({ ...data, sessions: await openBackedUpSessions(data.sessions) }, {
+      provenance: provenance === IMPORT_PROVENANCE.KEEP ? IMPORT_PROVENANCE.KEEP : IMPORT_PROVENANCE.ASSIGN,
+      deviceId: TrackerState.deviceId,
+      isSkipped: session => isExcludedDomain(session.domain)
+        || (session.incognito && TrackerState.config.incognitoPolicy === INCOGNITO_POLICY.IGNORE)
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  if (!commit) return { success: true, summary: plan.summary };
+  
+  for (const session of plan.sessions) {
+    await Rollups.recordSession(await prepareForStorage(session));
+  }
+  
+  Badge.invalidate();
+  await updateBadge();
+  
+  console.log('[Tracker] Imported', plan.sessions.length, 'sessions from', plan.summary.sourceDeviceId || 'unknown device');
+  return { success: true, summary: plan.summary };
+}
+
+/**
+ * Open sessions a backup kept sealed, where this profile's key can
+ * Sessions sealed under another key, or while locked, keep their site-level
+ * URL and lose their page path (see Importer.normalize).
+ * @param {Array} sessions - Sessions from an export file
+ * @returns {Array} Sessions, opened where possible
+ */
+async function openBackedUpSessions(sessions) {
+  if (!Array.isArray(sessions) || !Encryption.isEnabled() || Encryption.isLocked()) return sessions;
+  
+  return Promise.all(sessions.map(async (session) => {
+    if (!session || typeof session.sealed !== 'string') return session;
+    try {
+      return await Encryption.openSession(session);
+    } catch (error) {
+      return session;
+    }
+  }));
+}
+
 // ============================================================================
 // Startup
 // ============================================================================
@@ -0,0 +1,175 @@
+/**
+ * Scheduled backups for Internet Usage Tracker
+ * Daily or weekly, a JSON export (see exporter.js) is saved through the
+ * downloads API into a subfolder of the downloads directory, and backups
+ * beyond the configured number are deleted, oldest first. Local-only users
+ * can restore one with Import Data after losing their profile.
+ */
+
+const BACKUP_ALARM_NAME = 'scheduled-backup';
+const BACKUP_FOLDER = 'internet-tracker-backups';
+
+const BACKUP_FREQUENCY = {
+  OFF: 'off',
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+// Minutes between backups for each frequency
+const BACKUP_PERIOD_MINUTES = {
+  [BACKUP_FREQUENCY.DAILY]: 24 * 60,
+  [BACKUP_FREQUENCY.WEEKLY]: 7 * 24 * 60
+};
+
+const Backups = {
+  /**
+   * Get the backup history from storage.local
+   * @returns {object} { lastBackup, lastError, lastErrorAt, backups: [{ downloadId, filename, timestamp }] }
+   */
+  async getState() {
+    const stored = await browser.storage.local.get('backupState');
+    return { lastBackup: null, lastError: null, lastErrorAt: null, backups: [], ...stored.backupState };
+  },
+
+  /**
+   * Persist the backup history
+   */
+  async saveState(state) {
+    await browser.storage.local.set({ backupState: state });
+  },
+
+  /**
+   * Schedule the next backup, due one period after the last one
+   * @param {object} settings - Backup settings ({ frequency, keep })
+   */
+  async schedule(settings) {
+    await browser.alarms.clear(BACKUP_ALARM_NAME);
+
+    const periodInMinutes = BACKUP_PERIOD_MINUTES[settings?.frequency];
+    if (!periodInMinutes) return;
+
+    // An overdue backup runs a minute after startup rather than in the middle of it
+    const { lastBackup } = await this.getState();
+    const due = lastBackup ? (lastBackup + periodInMinutes * 60) * 1000 : 0;
+    const when = Math.max(due, Date.now() + 60 * 1000);
+
+    browser.alarms.create(BACKUP_ALARM_NAME, { when, periodInMinutes });
+    console.log('[Backups] Next backup at', new Date(when).toString());
+  },
+
+  /**
+   * Get the file name of a backup taken now
+   * @returns {string} Path relative to the downloads directory
+   */
+  getFilename(extension) {
+    const now = new Date();
+    const time = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}`;
+    return `${BACKUP_FOLDER}/internet-tracker-backup-${Utils.getDayKey(Utils.getCurrentTimestamp())}-${time}.${extension}`;
+  },
+
+  /**
+   * Save an export file as a backup and delete the ones beyond the retention
+   * @param {object} file - Result of Exporter.serialize ({ content, type, extension })
+   * @param {number} keep - Number of backups to keep
+   * @returns {object} Backup history
+   */
+  async save(file, keep) {
+    const state = await this.getState();
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+    const filename = this.getFilename(file.extension);
+
+    try {
+      const downloadId = await browser.downloads.download({
+        url,
+        filename,
+        saveAs: false,
+        conflictAction: 'uniquify'
+      });
+      await this.waitForDownload(downloadId);
+
+      state.backups.push({ downloadId, filename, timestamp: Utils.getCurrentTimestamp() });
+      state.lastBackup = Utils.getCurrentTimestamp();
+      state.lastError = null;
+      state.lastErrorAt = null;
+      console.log('[Backups] Saved', filename);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    await this.rotate(state, keep);
+    await this.saveState(state);
+    return state;
+  },
+
+  /**
+   * Wait until a download has finished writing
+   * @param {number} downloadId - Download ID
+   * @throws {Error} If the download was interrupted
+   */
+  waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+      const settle = (state) => {
+        if (state === 'in_progress') return;
+
+        browser.downloads.onChanged.removeListener(listener);
+        if (state === 'complete') {
+          resolve();
+        } else {
+          reject(new Error(`Backup download ${state}`));
+        }
+      };
+      const listener = (delta) => {
+        if (delta.id === downloadId && delta.state) settle(delta.state.current);
+      };
+
+      browser.downloads.onChanged.addListener(listener);
+
+      // It may have finished before the listener was added
+      browser.downloads.search({ id: downloadId }).then(([item]) => {
+        if (item) settle(item.state);
+      }, reject);
+    });
+  },
+
+  /**
+   * Delete backups beyond the newest `keep`, and forget them
+   * Backups already deleted by hand are just forgotten.
+   * @param {object} state - Backup history (changed in place)
+   * @param {number} keep - Number of backups to keep
+   */
+  async rotate(state, keep) {
+    const excess = state.backups.length - Math.max(1, keep);
+    if (excess <= 0) return;
+
+    const removed = state.backups.splice(0, excess);
+    for (const backup of removed) {
+      try {
+        await browser.downloads.removeFile(backup.downloadId);
+      } catch (error) {
+        console.log('[Backups] Old backup already gone:', backup.filename);
+      }
+      try {
+        await browser.downloads.erase({ id: backup.downloadId });
+      } catch (error) {
+        console.error('[Backups] Failed to remove download entry:', error);
+      }
+    }
+    console.log('[Backups] Removed', removed.length, 'old backups');
+  },
+
+  /**
+   * Record a failed backup for the options page
+   * @param {Error} error - What went wrong
+   */
+  async recordError(error) {
+    const state = await this.getState();
+    state.lastError = error.message;
+    state.lastErrorAt = Utils.getCurrentTimestamp();
+    await this.saveState(state);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Backups;
+}
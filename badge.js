@@ -0,0 +1,167 @@
+/**
+ * Toolbar badge for Internet Usage Tracker
+ * Shows time on the current site today, today's total or the time left
+ * under the current site's daily limit, coloured by how much of that limit
+ * is used. Today's per-domain seconds are cached and only re-read from the
+ * rollups after a session is saved or the day changes, so each tick just
+ * adds the running sessions.
+ */
+
+const BADGE_ALARM_NAME = 'badge-update';
+
+const BADGE_METRIC = {
+  OFF: 'off',
+  SITE: 'site', // Time on the current site today
+  TODAY: 'today', // Time on all sites today
+  LIMIT: 'limit' // Time left under the current site's daily limit
+};
+
+const BADGE_COLORS = {
+  OK: '#16a34a',
+  WARNING: '#d97706',
+  OVER: '#dc2626'
+};
+
+const Badge = {
+  // Today's seconds per domain from the rollups, and how many overlapped other sessions
+  // ({ day, seconds: { domain: seconds }, overlapSeconds })
+  today: null,
+
+  // In-flight read of today's rollups ({ day, promise })
+  loading: null,
+
+  /**
+   * Forget the cached totals (after a session is saved or data is cleared)
+   */
+  invalidate() {
+    this.today = null;
+    this.loading = null;
+  },
+
+  /**
+   * Make sure today's seconds per domain are cached, reading the rollups only when stale
+   */
+  async load() {
+    const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+    if (this.today?.day === todayKey) return;
+
+    if (this.loading?.day !== todayKey) {
+      const loading = { day: todayKey, promise: this.readDay(todayKey) };
+      this.loading = loading;
+      loading.promise.then((totals) => {
+        // An invalidate() while reading means the result is already stale
+        if (this.loading !== loading) return;
+        this.today = { day: todayKey, ...totals };
+        this.loading = null;
+      }, () => {
+        if (this.loading === loading) this.loading = null;
+      });
+    }
+
+    await this.loading.promise;
+  },
+
+  /**
+   * Read one day's seconds per domain from the rollups
+   * @returns {object} { seconds: { domain: seconds }, overlapSeconds }
+   */
+  async readDay(dayKey) {
+    const seconds = {};
+    let overlapSeconds = 0;
+    await Rollups.iterate((row) => {
+      seconds[row.domain] = row.seconds;
+      overlapSeconds += row.overlapSeconds || 0;
+    }, dayKey, dayKey);
+    return { seconds, overlapSeconds };
+  },
+
+  /**
+   * Format seconds to fit a badge (at most 4 characters)
+   * @param {number} seconds - Seconds
+   * @returns {string} e.g. "45m", "1h05", "12h"
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(Math.max(0, seconds) / 60);
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours >= 10) return `${hours}h`;
+    return `${hours}h${String(minutes % 60).padStart(2, '0')}`;
+  },
+
+  /**
+   * Get the colour for a share of a daily limit
+   * @param {number|null} ratio - Used seconds / limit seconds, null without a limit
+   * @returns {string} Badge colour
+   */
+  getColor(ratio) {
+    if (ratio === null || ratio < LIMIT_WARNING_RATIO) return BADGE_COLORS.OK;
+    return ratio < 1 ? BADGE_COLORS.WARNING : BADGE_COLORS.OVER;
+  },
+
+  /**
+   * Work out the badge for the configured metric from the cache (see load)
+   * @param {object} config - Extension configuration
+   * @param {object|null} liveSession - Current session with live duration
+   * @param {Array} otherSessions - Other windows' and background audio sessions with live durations
+   * @returns {object} { text, color, title }
+   */
+  get(config, liveSession, otherSessions = []) {
+    const metric = config.badgeMetric || BADGE_METRIC.SITE;
+    if (metric === BADGE_METRIC.OFF) return { text: '', color: BADGE_COLORS.OK, title: '' };
+
+    const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+    const cached = this.today?.day === todayKey;
+    const seconds = { ...(cached ? this.today.seconds : {}) };
+    // Seconds counted twice by overlapping sessions (see windows.js)
+    let overlapSeconds = cached ? this.today.overlapSeconds : 0;
+
+    // Measured in the same order as the popup's stats, so both show the same total
+    Windows.measure([liveSession, ...otherSessions].filter(Boolean)).forEach((session) => {
+      Rollups.getSessionRows(session).filter(row => row.day === todayKey).forEach((row) => {
+        seconds[row.domain] = (seconds[row.domain] || 0) + row.seconds;
+        overlapSeconds += row.overlapSeconds;
+      });
+    });
+
+    const sumMatching = (matches) => Object.entries(seconds)
+      .filter(([domain]) => matches(domain))
+      .reduce((sum, [, domainSeconds]) => sum + domainSeconds, 0);
+
+    // The current site's limit colours the badge whatever the metric
+    const domain = liveSession?.domain;
+    const limit = domain
+      ? (config.limits || []).find(entry => entry.pattern && entry.minutesPerDay > 0 && Domains.matches(entry.pattern, domain))
+      : null;
+    const limitSeconds = limit ? limit.minutesPerDay * 60 : 0;
+    const limitUsed = limit ? sumMatching(d => Domains.matches(limit.pattern, d)) : 0;
+    const color = this.getColor(limit ? limitUsed / limitSeconds : null);
+
+    if (metric === BADGE_METRIC.TODAY) {
+      const total = sumMatching(() => true) - overlapSeconds;
+      return { text: this.formatTime(total), color, title: `${Utils.formatDuration(total)} today` };
+    }
+
+    if (!domain) return { text: '', color, title: '' };
+
+    if (metric === BADGE_METRIC.LIMIT) {
+      if (!limit) return { text: '', color, title: `No daily limit on ${domain}` };
+
+      const left = limitSeconds - limitUsed;
+      return {
+        text: this.formatTime(left),
+        color,
+        title: `${Utils.formatDuration(Math.max(0, left))} left of the daily limit on ${limit.pattern}`
+      };
+    }
+
+    const site = Domains.getGroupKey(domain, config.domainGrouping);
+    const siteSeconds = sumMatching(d => Domains.getGroupKey(d, config.domainGrouping) === site);
+    return { text: this.formatTime(siteSeconds), color, title: `${Utils.formatDuration(siteSeconds)} on ${site} today` };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Badge;
+}
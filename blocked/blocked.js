@@ -0,0 +1,90 @@
+/**
+ * Page shown instead of a site that reached a blocking daily limit
+ * or is blocked by focus mode
+ */
+
+const params = new URLSearchParams(window.location.search);
+const reason = params.get('reason') || 'limit';
+const pattern = params.get('pattern') || '';
+const blockedUrl = params.get('url') || '';
+
+// DOM Elements
+const elements = {
+  icon: document.getElementById('icon'),
+  title: document.getElementById('title'),
+  message: document.getElementById('message'),
+  continueBtn: document.getElementById('continueBtn'),
+  closeBtn: document.getElementById('closeBtn')
+};
+
+/**
+ * Fill the message with text and a highlighted domain
+ */
+function setMessage(before, domain, after) {
+  const domainSpan = document.createElement('span');
+  domainSpan.className = 'domain';
+  domainSpan.textContent = domain;
+  
+  elements.message.textContent = '';
+  elements.message.appendChild(document.createTextNode(before));
+  elements.message.appendChild(domainSpan);
+  elements.message.appendChild(document.createTextNode(after));
+}
+
+/**
+ * Render the page for the reason the site was blocked
+ */
+function render() {
+  if (reason === 'focus') {
+    const until = new Date((parseInt(params.get('until')) || 0) * 1000)
+      .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    elements.icon.textContent = '🎯';
+    elements.title.textContent = 'Focus time';
+    setMessage('', pattern, ` is on your focus list until ${until}.`);
+    
+    // Warn mode lets the visit through; block mode doesn't
+    if (params.get('mode') === 'warn') {
+      elements.continueBtn.textContent = 'Continue anyway';
+    } else {
+      elements.continueBtn.classList.add('hidden');
+    }
+    return;
+  }
+  
+  const limit = Utils.formatDuration((parseInt(params.get('minutes')) || 0) * 60);
+  setMessage(`You've used your daily limit of ${limit} on `, pattern, '.');
+}
+
+/**
+ * Go back to the site, snoozing the limit or bypassing the focus warning
+ */
+async function continueToSite() {
+  elements.continueBtn.disabled = true;
+  
+  const message = reason === 'focus'
+    ? { action: 'focusBypass', domain: pattern, url: blockedUrl }
+    : { action: 'snoozeLimit', pattern, url: blockedUrl };
+  
+  try {
+    await browser.runtime.sendMessage(message);
+  } catch (error) {
+    console.error('Failed to continue to site:', error);
+    elements.continueBtn.disabled = false;
+  }
+}
+
+/**
+ * Close this tab
+ */
+async function closeTab() {
+  const tab = await browser.tabs.getCurrent();
+  await browser.tabs.remove(tab.id);
+}
+
+// Event Listeners
+elements.continueBtn.addEventListener('click', continueToSite);
+elements.closeBtn.addEventListener('click', closeTab);
+
+// Initial render
+render();
@@ -0,0 +1,225 @@
+/**
+ * Site categorization for Internet Usage Tracker
+ * Sessions get a category when they start: the user's rules are tried in
+ * order, then the bundled domain mapping below.
+ */
+
+const UNCATEGORIZED = 'Uncategorized';
+
+// Category of background audio sessions, whatever the site
+const LISTENING_CATEGORY = 'Listening';
+
+// Bundled mapping; a domain also covers its subdomains
+const DEFAULT_CATEGORIES = {
+  // Social
+  'facebook.com': 'Social',
+  'instagram.com': 'Social',
+  'twitter.com': 'Social',
+  'x.com': 'Social',
+  'reddit.com': 'Social',
+  'linkedin.com': 'Social',
+  'tiktok.com': 'Social',
+  'pinterest.com': 'Social',
+  'tumblr.com': 'Social',
+  'mastodon.social': 'Social',
+  'bsky.app': 'Social',
+  'threads.net': 'Social',
+
+  // Video & Music
+  'youtube.com': 'Video',
+  'netflix.com': 'Video',
+  'twitch.tv': 'Video',
+  'vimeo.com': 'Video',
+  'primevideo.com': 'Video',
+  'disneyplus.com': 'Video',
+  'hulu.com': 'Video',
+  'spotify.com': 'Music',
+  'soundcloud.com': 'Music',
+  'music.apple.com': 'Music',
+  'bandcamp.com': 'Music',
+
+  // News
+  'news.google.com': 'News',
+  'nytimes.com': 'News',
+  'bbc.com': 'News',
+  'bbc.co.uk': 'News',
+  'theguardian.com': 'News',
+  'cnn.com': 'News',
+  'reuters.com': 'News',
+  'apnews.com': 'News',
+  'washingtonpost.com': 'News',
+  'news.ycombinator.com': 'News',
+
+  // Development
+  'github.com': 'Development',
+  'gitlab.com': 'Development',
+  'bitbucket.org': 'Development',
+  'stackoverflow.com': 'Development',
+  'stackexchange.com': 'Development',
+  'npmjs.com': 'Development',
+  'pypi.org': 'Development',
+  'codepen.io': 'Development',
+  'vercel.com': 'Development',
+  'netlify.com': 'Development',
+  'supabase.com': 'Development',
+
+  // Docs & Reference
+  'developer.mozilla.org': 'Docs',
+  'docs.python.org': 'Docs',
+  'readthedocs.io': 'Docs',
+  'devdocs.io': 'Docs',
+  'docs.github.com': 'Docs',
+  'learn.microsoft.com': 'Docs',
+  'wikipedia.org': 'Reference',
+  'wiktionary.org': 'Reference',
+  'britannica.com': 'Reference',
+
+  // Communication
+  'mail.google.com': 'Communication',
+  'outlook.live.com': 'Communication',
+  'outlook.office.com': 'Communication',
+  'slack.com': 'Communication',
+  'discord.com': 'Communication',
+  'teams.microsoft.com': 'Communication',
+  'web.whatsapp.com': 'Communication',
+  'web.telegram.org': 'Communication',
+  'zoom.us': 'Communication',
+  'meet.google.com': 'Communication',
+
+  // Productivity
+  'docs.google.com': 'Productivity',
+  'drive.google.com': 'Productivity',
+  'calendar.google.com': 'Productivity',
+  'notion.so': 'Productivity',
+  'trello.com': 'Productivity',
+  'asana.com': 'Productivity',
+  'atlassian.net': 'Productivity',
+  'figma.com': 'Productivity',
+  'office.com': 'Productivity',
+  'dropbox.com': 'Productivity',
+
+  // Search
+  'google.com': 'Search',
+  'bing.com': 'Search',
+  'duckduckgo.com': 'Search',
+  'search.brave.com': 'Search',
+  'kagi.com': 'Search',
+
+  // Shopping
+  'amazon.com': 'Shopping',
+  'ebay.com': 'Shopping',
+  'etsy.com': 'Shopping',
+  'aliexpress.com': 'Shopping',
+  'walmart.com': 'Shopping'
+};
+
+const Categories = {
+  /**
+   * Check whether a user rule matches a URL
+   * @param {object} rule - { type: 'domain'|'wildcard'|'path'|'regex', pattern, category }
+   * @param {string} url - Full URL
+   * @param {string} domain - URL's domain
+   * @returns {boolean} Whether the rule applies
+   */
+  matchesRule(rule, url, domain) {
+    if (!rule.pattern) return false;
+
+    switch (rule.type) {
+      case 'domain':
+        return domain === rule.pattern.trim().toLowerCase();
+
+      case 'wildcard':
+        return Domains.matches(rule.pattern, domain);
+
+      case 'path': {
+        // Prefix of host + path, e.g. "github.com/mozilla"
+        const prefix = rule.pattern.trim().replace(/^https?:\/\//, '');
+        try {
+          const urlObj = new URL(url);
+          return `${urlObj.hostname}${urlObj.pathname}`.startsWith(prefix);
+        } catch (e) {
+          return false;
+        }
+      }
+
+      case 'regex':
+        try {
+          return new RegExp(rule.pattern).test(url);
+        } catch (e) {
+          return false;
+        }
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Get the category for a URL
+   * @param {string} url - Full URL
+   * @param {string} domain - URL's domain
+   * @param {Array} rules - User rules, tried in order before the bundled mapping
+   * @returns {string} Category name
+   */
+  categorize(url, domain, rules = []) {
+    const rule = rules.find(r => r.category && this.matchesRule(r, url, domain));
+    if (rule) return rule.category;
+
+    return this.getDefault(domain);
+  },
+
+  /**
+   * Look a domain and its parent domains up in the bundled mapping
+   * @param {string} domain - Domain name
+   * @returns {string} Category name
+   */
+  getDefault(domain) {
+    const labels = domain.toLowerCase().replace(/^www\./, '').split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const category = DEFAULT_CATEGORIES[labels.slice(i).join('.')];
+      if (category) return category;
+    }
+
+    return UNCATEGORIZED;
+  },
+
+  /**
+   * Split a rollup or lifetime row's seconds by category
+   * Seconds recorded before sessions had categories are put in the
+   * domain's category.
+   * @param {object} row - Row with domain, seconds and optional categories
+   * @param {Array} rules - User rules
+   * @returns {object} Seconds per category
+   */
+  splitRow(row, rules = []) {
+    const split = { ...row.categories };
+    const covered = Object.values(split).reduce((sum, seconds) => sum + seconds, 0);
+
+    if (row.seconds > covered) {
+      const category = this.categorize(`https://${row.domain}/`, row.domain, rules);
+      split[category] = (split[category] || 0) + row.seconds - covered;
+    }
+
+    return split;
+  },
+
+  /**
+   * Get every category name in the bundled mapping and the user's rules
+   * @param {Array} rules - User rules
+   * @returns {Array} Sorted category names
+   */
+  getNames(rules = []) {
+    const names = new Set([
+      ...Object.values(DEFAULT_CATEGORIES),
+      LISTENING_CATEGORY,
+      ...rules.map(r => r.category).filter(Boolean)
+    ]);
+    return [...names].sort();
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Categories;
+}
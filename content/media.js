@@ -0,0 +1,29 @@
+/**
+ * Media detection content script for Internet Usage Tracker
+ * Tells the background script when this frame starts or stops playing audio
+ * or video, including muted videos that don't make the tab audible.
+ */
+
+(() => {
+  let playing = false;
+
+  const report = (nowPlaying) => {
+    if (nowPlaying === playing) return;
+    playing = nowPlaying;
+    browser.runtime.sendMessage({ action: 'mediaState', playing }).catch(() => {
+      // The background page may be reloading; the next media event reports again
+    });
+  };
+
+  const isPlaying = () => Array.from(document.querySelectorAll('video, audio'))
+    .some(media => !media.paused && !media.ended && media.readyState > 2);
+
+  // Media events don't bubble, so listen in the capture phase
+  ['playing', 'pause', 'ended', 'emptied'].forEach((type) => {
+    document.addEventListener(type, () => report(isPlaying()), true);
+  });
+
+  window.addEventListener('pagehide', () => report(false));
+
+  report(isPlaying());
+})();
@@ -0,0 +1,497 @@
+/**
+ * Dashboard script for Internet Usage Tracker
+ * Renders daily/weekly/monthly charts as inline SVG
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart colors for top domains; "Other" is always grey
+const CHART_COLORS = ['#4f46e5', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6'];
+const OTHER_COLOR = '#9ca3af';
+const OTHER_DOMAIN = 'Other';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// DOM Elements
+const elements = {
+  presets: document.getElementById('presets'),
+  fromDate: document.getElementById('fromDate'),
+  toDate: document.getElementById('toDate'),
+  groupBy: document.getElementById('groupBy'),
+  rangeTotal: document.getElementById('rangeTotal'),
+  barChart: document.getElementById('barChart'),
+  barLegend: document.getElementById('barLegend'),
+  comparisonRange: document.getElementById('comparisonRange'),
+  comparisonSummary: document.getElementById('comparisonSummary'),
+  comparisonChart: document.getElementById('comparisonChart'),
+  productivitySummary: document.getElementById('productivitySummary'),
+  productivityChart: document.getElementById('productivityChart'),
+  heatmap: document.getElementById('heatmap'),
+  heatmapHint: document.getElementById('heatmapHint'),
+  blockedSummary: document.getElementById('blockedSummary'),
+  blockedChart: document.getElementById('blockedChart')
+};
+
+/**
+ * Format seconds as hours and minutes
+ */
+function formatHours(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Add a hover tooltip to an SVG element
+ */
+function addTooltip(element, text) {
+  element.appendChild(svgElement('title', {}, text));
+  return element;
+}
+
+/**
+ * Get the chart color for a domain
+ */
+function getDomainColor(domain, topDomains) {
+  const index = topDomains.indexOf(domain);
+  return index === -1 ? OTHER_COLOR : CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * Show a placeholder instead of a chart
+ */
+function renderEmpty(container, message) {
+  container.textContent = '';
+  const empty = document.createElement('div');
+  empty.className = 'empty-state';
+  empty.textContent = message;
+  container.appendChild(empty);
+}
+
+/**
+ * Pick a "nice" axis step (in hours) for a maximum value in seconds
+ */
+function getAxisStep(maxSeconds) {
+  const maxHours = maxSeconds / 3600;
+  const steps = [0.25, 0.5, 1, 2, 4, 6, 12, 24, 48, 96, 168];
+  return (steps.find(step => maxHours / step <= 5) || steps[steps.length - 1]) * 3600;
+}
+
+/**
+ * Human-readable label for a bucket key
+ */
+function formatBucketLabel(key, groupBy) {
+  const [year, month, day] = key.split('-').map(Number);
+  if (groupBy === 'month') return `${MONTH_LABELS[month - 1]} ${year}`;
+  if (groupBy === 'week') return `Wk of ${MONTH_LABELS[month - 1]} ${day}`;
+  return `${MONTH_LABELS[month - 1]} ${day}`;
+}
+
+/**
+ * Stacked bar chart of time per domain for each bucket
+ */
+function renderBarChart(data) {
+  const container = elements.barChart;
+  container.textContent = '';
+  elements.barLegend.textContent = '';
+
+  if (data.totalSeconds === 0) {
+    renderEmpty(container, 'No browsing recorded in this range.');
+    return;
+  }
+
+  const width = 1000;
+  const height = 320;
+  const margin = { top: 10, right: 10, bottom: 40, left: 50 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const maxSeconds = Math.max(...data.buckets.map(b => b.totalSeconds), 1);
+  const step = getAxisStep(maxSeconds);
+  const axisMax = Math.ceil(maxSeconds / step) * step;
+  const y = (seconds) => margin.top + plotHeight - (seconds / axisMax) * plotHeight;
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}` });
+
+  // Horizontal grid lines with hour labels
+  for (let value = 0; value <= axisMax; value += step) {
+    svg.appendChild(svgElement('line', {
+      class: 'grid-line', x1: margin.left, x2: width - margin.right, y1: y(value), y2: y(value)
+    }));
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: margin.left - 6, y: y(value) + 4, 'text-anchor': 'end'
+    }, formatHours(value)));
+  }
+
+  // Bars, one stacked segment per domain
+  const slot = plotWidth / data.buckets.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const labelEvery = Math.ceil(data.buckets.length / 12);
+  const stackOrder = [...data.topDomains, OTHER_DOMAIN];
+
+  data.buckets.forEach((bucket, index) => {
+    const x = margin.left + index * slot + (slot - barWidth) / 2;
+    const label = formatBucketLabel(bucket.key, data.groupBy);
+    let stacked = 0;
+
+    stackOrder.forEach(domain => {
+      const seconds = bucket.domains[domain];
+      if (!seconds) return;
+
+      const rect = svgElement('rect', {
+        x,
+        y: y(stacked + seconds),
+        width: barWidth,
+        height: Math.max(0, y(stacked) - y(stacked + seconds)),
+        fill: getDomainColor(domain, data.topDomains)
+      });
+      svg.appendChild(addTooltip(rect, `${label}\n${domain}: ${formatHours(seconds)}`));
+      stacked += seconds;
+    });
+
+    if (index % labelEvery === 0) {
+      svg.appendChild(svgElement('text', {
+        class: 'axis-label', x: x + barWidth / 2, y: height - margin.bottom + 16, 'text-anchor': 'middle'
+      }, label));
+    }
+  });
+
+  container.appendChild(svg);
+
+  // Legend
+  stackOrder.forEach(domain => {
+    if (!data.buckets.some(bucket => bucket.domains[domain])) return;
+
+    const item = document.createElement('div');
+    item.className = 'legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = getDomainColor(domain, data.topDomains);
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(domain));
+    elements.barLegend.appendChild(item);
+  });
+}
+
+/**
+ * Add a value/label block to the comparison summary
+ */
+function appendSummaryItem(value, label, className, container = elements.comparisonSummary) {
+  const item = document.createElement('div');
+  const valueDiv = document.createElement('div');
+  valueDiv.className = `comparison-value ${className || ''}`;
+  valueDiv.textContent = value;
+  const labelDiv = document.createElement('div');
+  labelDiv.className = 'comparison-label';
+  labelDiv.textContent = label;
+  item.appendChild(valueDiv);
+  item.appendChild(labelDiv);
+  container.appendChild(item);
+}
+
+/**
+ * Grouped horizontal bars: last 7 days vs the 7 days before
+ */
+function renderComparison(comparison) {
+  const { thisWeek, lastWeek, domains } = comparison;
+  elements.comparisonRange.textContent =
+    `${formatBucketLabel(thisWeek.from, 'day')} – ${formatBucketLabel(thisWeek.to, 'day')} vs. previous 7 days`;
+
+  elements.comparisonSummary.textContent = '';
+  appendSummaryItem(formatHours(thisWeek.totalSeconds), 'Last 7 days');
+  appendSummaryItem(formatHours(lastWeek.totalSeconds), 'Previous 7 days');
+  if (lastWeek.totalSeconds > 0) {
+    const change = Math.round((thisWeek.totalSeconds / lastWeek.totalSeconds - 1) * 100);
+    appendSummaryItem(`${change > 0 ? '+' : ''}${change}%`, 'Change', change > 0 ? 'delta-up' : 'delta-down');
+  }
+
+  const container = elements.comparisonChart;
+  container.textContent = '';
+  if (domains.length === 0) {
+    renderEmpty(container, 'No browsing recorded in the last two weeks.');
+    return;
+  }
+
+  const width = 1000;
+  const rowHeight = 34;
+  const labelWidth = 200;
+  const valueWidth = 80;
+  const height = domains.length * rowHeight + 10;
+  const maxSeconds = Math.max(...domains.map(d => Math.max(d.seconds, d.previousSeconds)), 1);
+  const barLength = (seconds) => (seconds / maxSeconds) * (width - labelWidth - valueWidth);
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}` });
+
+  domains.forEach((domain, index) => {
+    const top = index * rowHeight + 5;
+    svg.appendChild(svgElement('text', { x: 0, y: top + 16 }, domain.domain));
+
+    const current = svgElement('rect', {
+      x: labelWidth, y: top, width: barLength(domain.seconds), height: 12, fill: CHART_COLORS[0]
+    });
+    svg.appendChild(addTooltip(current, `Last 7 days: ${formatHours(domain.seconds)}`));
+
+    const previous = svgElement('rect', {
+      x: labelWidth, y: top + 14, width: barLength(domain.previousSeconds), height: 12, fill: OTHER_COLOR
+    });
+    svg.appendChild(addTooltip(previous, `Previous 7 days: ${formatHours(domain.previousSeconds)}`));
+
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: width, y: top + 16, 'text-anchor': 'end'
+    }, `${formatHours(domain.seconds)} / ${formatHours(domain.previousSeconds)}`));
+  });
+
+  container.appendChild(svg);
+}
+
+/**
+ * Daily productivity score line, with gaps on days without browsing
+ */
+function renderProductivity(days) {
+  const scored = days.filter(day => day.score !== null);
+  const totals = days.reduce((sum, day) => ({
+    productive: sum.productive + day.productive,
+    distracting: sum.distracting + day.distracting,
+    totalSeconds: sum.totalSeconds + day.totalSeconds,
+    weighted: sum.weighted + (day.score || 0) * day.totalSeconds
+  }), { productive: 0, distracting: 0, totalSeconds: 0, weighted: 0 });
+
+  elements.productivitySummary.textContent = '';
+  const container = elements.productivityChart;
+  container.textContent = '';
+  if (scored.length === 0) {
+    renderEmpty(container, 'No browsing recorded in these 30 days.');
+    return;
+  }
+
+  const summaryContainer = elements.productivitySummary;
+  appendSummaryItem(Math.round(totals.weighted / totals.totalSeconds), 'Average score', '', summaryContainer);
+  appendSummaryItem(formatHours(totals.productive), 'Productive', '', summaryContainer);
+  appendSummaryItem(formatHours(totals.distracting), 'Distracting', '', summaryContainer);
+
+  const width = 1000;
+  const height = 220;
+  const margin = { top: 10, right: 10, bottom: 30, left: 40 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const x = (index) => margin.left + (index / Math.max(1, days.length - 1)) * plotWidth;
+  const y = (score) => margin.top + plotHeight - (score / 100) * plotHeight;
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}` });
+
+  [0, 50, 100].forEach(score => {
+    svg.appendChild(svgElement('line', {
+      class: 'grid-line', x1: margin.left, x2: width - margin.right, y1: y(score), y2: y(score)
+    }));
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: margin.left - 6, y: y(score) + 4, 'text-anchor': 'end'
+    }, score));
+  });
+
+  // One path segment per run of days with a score
+  let path = '';
+  days.forEach((day, index) => {
+    if (day.score === null) return;
+    const previous = days[index - 1];
+    path += `${previous && previous.score !== null ? 'L' : 'M'}${x(index)},${y(day.score)} `;
+  });
+  svg.appendChild(svgElement('path', { class: 'score-line', d: path.trim() }));
+
+  const labelEvery = Math.ceil(days.length / 10);
+  days.forEach((day, index) => {
+    if (day.score !== null) {
+      const point = svgElement('circle', { cx: x(index), cy: y(day.score), r: 4, fill: CHART_COLORS[0] });
+      svg.appendChild(addTooltip(point,
+        `${formatBucketLabel(day.day, 'day')}: score ${day.score}\n` +
+        `${formatHours(day.productive)} productive, ${formatHours(day.distracting)} distracting`
+      ));
+    }
+
+    if (index % labelEvery === 0) {
+      svg.appendChild(svgElement('text', {
+        class: 'axis-label', x: x(index), y: height - 8, 'text-anchor': 'middle'
+      }, formatBucketLabel(day.day, 'day')));
+    }
+  });
+
+  container.appendChild(svg);
+}
+
+/**
+ * Hour-of-day by day-of-week heatmap
+ */
+function renderHeatmap(heatmap) {
+  const container = elements.heatmap;
+  container.textContent = '';
+
+  elements.heatmapHint.textContent = heatmap.earliestSession
+    ? `Detailed sessions available since ${new Date(heatmap.earliestSession * 1000).toLocaleDateString()}`
+    : '';
+
+  if (heatmap.maxSeconds === 0) {
+    renderEmpty(container, 'No detailed sessions in this range. Older sessions are pruned after the archive retention period.');
+    return;
+  }
+
+  const cellWidth = 38;
+  const cellHeight = 26;
+  const left = 40;
+  const top = 20;
+  const svg = svgElement('svg', { viewBox: `0 0 ${left + cellWidth * 24} ${top + cellHeight * 7}` });
+
+  for (let hour = 0; hour < 24; hour += 3) {
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: left + hour * cellWidth, y: 12
+    }, `${String(hour).padStart(2, '0')}:00`));
+  }
+
+  // Rows start on Monday; cells are indexed from Sunday (Date.getDay)
+  WEEKDAY_LABELS.forEach((label, row) => {
+    const weekday = (row + 1) % 7;
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: 0, y: top + row * cellHeight + 17
+    }, label));
+
+    heatmap.cells[weekday].forEach((seconds, hour) => {
+      const intensity = seconds / heatmap.maxSeconds;
+      const cell = svgElement('rect', {
+        x: left + hour * cellWidth + 1,
+        y: top + row * cellHeight + 1,
+        width: cellWidth - 2,
+        height: cellHeight - 2,
+        rx: 3,
+        fill: CHART_COLORS[0],
+        'fill-opacity': seconds > 0 ? 0.1 + intensity * 0.9 : 0.04
+      });
+      svg.appendChild(addTooltip(cell, `${label} ${String(hour).padStart(2, '0')}:00 – ${formatHours(seconds)}`));
+    });
+  });
+
+  container.appendChild(svg);
+}
+
+/**
+ * Horizontal bars of focus-mode blocked attempts per domain
+ */
+function renderBlockedAttempts(attempts) {
+  elements.blockedSummary.textContent = '';
+  appendSummaryItem(attempts.blocked, 'Blocked', '', elements.blockedSummary);
+  appendSummaryItem(attempts.warned, 'Warned', '', elements.blockedSummary);
+
+  const container = elements.blockedChart;
+  container.textContent = '';
+  if (attempts.total === 0) {
+    renderEmpty(container, 'No blocked attempts in this range.');
+    return;
+  }
+
+  const width = 1000;
+  const rowHeight = 24;
+  const labelWidth = 200;
+  const valueWidth = 60;
+  const height = attempts.domains.length * rowHeight;
+  const maxCount = Math.max(...attempts.domains.map(d => d.count));
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}` });
+
+  attempts.domains.forEach((domain, index) => {
+    const top = index * rowHeight;
+    svg.appendChild(svgElement('text', { x: 0, y: top + 15 }, domain.domain));
+
+    const bar = svgElement('rect', {
+      x: labelWidth,
+      y: top + 4,
+      width: (domain.count / maxCount) * (width - labelWidth - valueWidth),
+      height: 14,
+      fill: CHART_COLORS[4]
+    });
+    svg.appendChild(addTooltip(bar, `${domain.domain}: ${domain.count} attempt${domain.count !== 1 ? 's' : ''}`));
+
+    svg.appendChild(svgElement('text', {
+      class: 'axis-label', x: width, y: top + 15, 'text-anchor': 'end'
+    }, domain.count));
+  });
+
+  container.appendChild(svg);
+}
+
+/**
+ * Load data for the selected range and render every chart
+ */
+async function loadDashboard() {
+  let from = elements.fromDate.value;
+  let to = elements.toDate.value;
+  if (!from || !to) return;
+  if (from > to) [from, to] = [to, from];
+
+  try {
+    const data = await browser.runtime.sendMessage({
+      action: 'getDashboardData',
+      from,
+      to,
+      groupBy: elements.groupBy.value
+    });
+    if (data.error) throw new Error(data.error);
+
+    elements.rangeTotal.textContent = formatHours(data.totalSeconds);
+    renderBarChart(data);
+    renderComparison(data.comparison);
+    renderProductivity(data.productivity);
+    renderHeatmap(data.heatmap);
+    renderBlockedAttempts(data.blockedAttempts);
+  } catch (error) {
+    console.error('Failed to load dashboard:', error);
+    renderEmpty(elements.barChart, 'Failed to load data.');
+  }
+}
+
+/**
+ * Select a preset range ending today
+ */
+function applyPreset(days) {
+  const today = Utils.getDayKey(Utils.getCurrentTimestamp());
+  elements.toDate.value = today;
+  elements.fromDate.value = Utils.addDays(today, -(days - 1));
+
+  elements.presets.querySelectorAll('.preset-btn').forEach(button => {
+    button.classList.toggle('active', Number(button.dataset.days) === days);
+  });
+
+  // Long ranges read better grouped
+  if (days > 90 && elements.groupBy.value === 'day') {
+    elements.groupBy.value = 'week';
+  }
+
+  loadDashboard();
+}
+
+/**
+ * Clear the preset highlight after a manual date change
+ */
+function handleDateChange() {
+  elements.presets.querySelectorAll('.preset-btn').forEach(button => button.classList.remove('active'));
+  loadDashboard();
+}
+
+// Event Listeners
+elements.presets.addEventListener('click', (e) => {
+  if (e.target.dataset.days) applyPreset(Number(e.target.dataset.days));
+});
+elements.fromDate.addEventListener('change', handleDateChange);
+elements.toDate.addEventListener('change', handleDateChange);
+elements.groupBy.addEventListener('change', loadDashboard);
+
+// Initial load
+document.addEventListener('DOMContentLoaded', () => applyPreset(30));
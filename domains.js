@@ -0,0 +1,127 @@
+/**
+ * Domain grouping for Internet Usage Tracker
+ * Groups hostnames into sites: the registrable domain (eTLD+1) from the
+ * bundled public suffix list, merged further by user-defined alias groups.
+ */
+
+const DOMAIN_GROUPING = {
+  HOSTNAME: 'hostname', // mail.google.com and docs.google.com are separate
+  SITE: 'site' // Both count as google.com
+};
+
+const Domains = {
+  // Parsed public suffix rules, built on first use
+  rules: null,
+
+  // Alias groups from the config ({ name, domains })
+  aliases: [],
+
+  /**
+   * Use new alias groups (called whenever the config is loaded or saved)
+   * @param {Array} aliases - Alias groups ({ name, domains: [patterns] })
+   */
+  configure(aliases = []) {
+    this.aliases = aliases.filter(alias => alias.name && alias.domains?.length > 0);
+  },
+
+  /**
+   * Public suffix rules as a set
+   */
+  getRules() {
+    if (!this.rules) {
+      this.rules = new Set(PUBLIC_SUFFIX_RULES.split('\n').filter(Boolean));
+    }
+    return this.rules;
+  },
+
+  /**
+   * Get the registrable domain (eTLD+1) of a hostname
+   * Follows the publicsuffix.org algorithm: the longest matching rule wins,
+   * exception rules win over everything, and unknown TLDs count as suffixes.
+   * @param {string} hostname - Hostname (e.g. "mail.google.com")
+   * @returns {string} Registrable domain (e.g. "google.com"), or the hostname itself
+   *   for IP addresses, single-label hosts and bare public suffixes
+   */
+  getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (!host.includes('.') || host.includes(':') || /^[\d.]+$/.test(host)) return host;
+
+    const rules = this.getRules();
+    const labels = host.split('.');
+    let suffixLength = 1;
+
+    // Shortest candidate first, so longer matches replace shorter ones
+    for (let i = labels.length - 1; i >= 0; i--) {
+      const candidate = labels.slice(i).join('.');
+
+      if (rules.has(`!${candidate}`)) {
+        suffixLength = labels.length - i - 1;
+        break;
+      }
+
+      if (rules.has(candidate) || rules.has(`*.${labels.slice(i + 1).join('.')}`)) {
+        suffixLength = labels.length - i;
+      }
+    }
+
+    if (suffixLength >= labels.length) return host;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  },
+
+  /**
+   * Find the alias group a hostname belongs to
+   * Members are checked against both the hostname and its registrable domain.
+   * @param {string} hostname - Hostname
+   * @returns {object|undefined} Alias group
+   */
+  findAlias(hostname) {
+    const registrable = this.getRegistrableDomain(hostname);
+
+    return this.aliases.find(group => group.domains.some(pattern =>
+      Utils.matchesDomain(pattern, hostname) || Utils.matchesDomain(pattern, registrable)
+    ));
+  },
+
+  /**
+   * Get the site a hostname belongs to
+   * @param {string} hostname - Hostname
+   * @returns {string} Alias group name or registrable domain
+   */
+  getSite(hostname) {
+    const alias = this.findAlias(hostname);
+    return alias ? alias.name : this.getRegistrableDomain(hostname);
+  },
+
+  /**
+   * Get the key a hostname is grouped under
+   * @param {string} hostname - Hostname
+   * @param {string} grouping - One of DOMAIN_GROUPING
+   * @returns {string} Hostname or site
+   */
+  getGroupKey(hostname, grouping) {
+    return grouping === DOMAIN_GROUPING.HOSTNAME ? hostname : this.getSite(hostname);
+  },
+
+  /**
+   * Check a domain pattern against a hostname or its alias group
+   * A pattern covering any member of the group, or naming the group, covers
+   * the whole group, so a limit on "youtube.com" also counts "youtu.be".
+   * @param {string} pattern - Domain pattern
+   * @param {string} hostname - Hostname
+   * @returns {boolean} Whether the pattern covers the hostname
+   */
+  matches(pattern, hostname) {
+    if (Utils.matchesDomain(pattern, hostname)) return true;
+
+    const alias = this.findAlias(hostname);
+    if (!alias) return false;
+
+    return alias.name.toLowerCase() === pattern.trim().toLowerCase()
+      || alias.domains.some(domain => Utils.matchesDomain(pattern, domain));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Domains;
+}
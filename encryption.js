@@ -0,0 +1,358 @@
+/**
+ * Encryption for Internet Usage Tracker
+ * Optional passphrase-based encryption with WebCrypto:
+ * - At rest: each stored session's URL, title and path key are sealed with
+ *   AES-GCM under a key agreed (ECDH P-256) between a fresh key pair and the
+ *   store's public key. Sessions can be sealed while locked; opening them
+ *   needs the private key, which is kept wrapped with AES-GCM under a
+ *   PBKDF2 key from the passphrase. Path keys are totalled per page under
+ *   an HMAC keyed by the private key, so they can only be hashed while
+ *   unlocked; sessions sealed while locked wait for the next unlock.
+ * - End-to-end sync: URLs and titles are encrypted with AES-GCM under a
+ *   PBKDF2 key from the passphrase and user ID before upload, so the server
+ *   only sees domains and durations.
+ * Unlocked keys live in memory only, so the passphrase is asked for again
+ * after a browser restart.
+ */
+
+const ENCRYPTION_KDF_ITERATIONS = 600000;
+
+// Prefix of end-to-end encrypted values in uploads
+const E2E_PREFIX = 'e2e:v1:';
+
+const Encryption = {
+  // Stored settings ({ salt, iterations, publicKey, wrappedKey, iv, atRest, e2e }), null when off
+  settings: null,
+
+  // Keys: the public key is usable while locked, the others only once unlocked
+  publicKey: null,
+  privateKey: null,
+  pathKey: null,
+  syncKey: null,
+
+  /**
+   * Load settings from storage.local
+   */
+  async load() {
+    const stored = await browser.storage.local.get('encryption');
+    this.settings = stored.encryption || null;
+    this.publicKey = this.settings
+      ? await crypto.subtle.importKey('jwk', this.settings.publicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, [])
+      : null;
+  },
+
+  /**
+   * Whether encryption at rest or end-to-end sync is on
+   */
+  isEnabled() {
+    return this.settings !== null;
+  },
+
+  /**
+   * Whether the passphrase still has to be entered
+   */
+  isLocked() {
+    return this.isEnabled() && !this.privateKey;
+  },
+
+  /**
+   * Whether new sessions and config secrets are sealed before they are stored
+   */
+  isAtRest() {
+    return this.isEnabled() && this.settings.atRest;
+  },
+
+  /**
+   * Get status for the popup and settings page
+   * @returns {object} { enabled, locked, atRest, e2e }
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      locked: this.isLocked(),
+      atRest: this.isAtRest(),
+      e2e: this.isEnabled() && this.settings.e2e
+    };
+  },
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  },
+
+  /**
+   * Derive an AES-GCM key from a passphrase with PBKDF2
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {CryptoKey} AES-GCM key
+   */
+  async deriveKey(passphrase, salt, iterations = ENCRYPTION_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * Derive the end-to-end sync key
+   * The salt depends only on the user ID, so every device with the same
+   * passphrase and user ID derives the same key.
+   */
+  deriveSyncKey(passphrase, userId) {
+    return this.deriveKey(passphrase, new TextEncoder().encode(`internet-tracker-sync:${userId}`));
+  },
+
+  /**
+   * Turn encryption on with a new passphrase and unlock it
+   * @param {string} passphrase - Passphrase
+   * @param {object} options - { atRest, e2e }
+   * @param {string} userId - User ID (salt for the sync key)
+   */
+  async enable(passphrase, { atRest, e2e }, userId) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveKey(passphrase, salt);
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+
+    const privateKey = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+    const wrappedKey = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, privateKey);
+
+    this.settings = {
+      salt: this.toBase64(salt),
+      iterations: ENCRYPTION_KDF_ITERATIONS,
+      publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+      wrappedKey: this.toBase64(wrappedKey),
+      iv: this.toBase64(iv),
+      atRest: !!atRest,
+      e2e: !!e2e
+    };
+    await browser.storage.local.set({ encryption: this.settings });
+
+    this.publicKey = keyPair.publicKey;
+    this.privateKey = keyPair.privateKey;
+    this.pathKey = await this.derivePathKey();
+    this.syncKey = e2e ? await this.deriveSyncKey(passphrase, userId) : null;
+  },
+
+  /**
+   * Unlock with the passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {string} userId - User ID (salt for the sync key)
+   * @returns {boolean} False if the passphrase is wrong
+   */
+  async unlock(passphrase, userId) {
+    if (!this.isEnabled()) return true;
+
+    const wrappingKey = await this.deriveKey(passphrase, this.fromBase64(this.settings.salt), this.settings.iterations);
+    let privateKey;
+    try {
+      privateKey = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(this.settings.iv) },
+        wrappingKey,
+        this.fromBase64(this.settings.wrappedKey)
+      );
+    } catch (e) {
+      // AES-GCM authentication fails when the key is wrong
+      return false;
+    }
+
+    this.privateKey = await crypto.subtle.importKey(
+      'pkcs8', privateKey, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveKey']
+    );
+    this.pathKey = await this.derivePathKey();
+    this.syncKey = this.settings.e2e ? await this.deriveSyncKey(passphrase, userId) : null;
+    return true;
+  },
+
+  /**
+   * Forget the unlocked keys
+   */
+  lock() {
+    this.privateKey = null;
+    this.pathKey = null;
+    this.syncKey = null;
+  },
+
+  /**
+   * Turn encryption off (data must be opened first, see background.js)
+   */
+  async disable() {
+    await browser.storage.local.remove('encryption');
+    this.settings = null;
+    this.publicKey = null;
+    this.lock();
+  },
+
+  /**
+   * Agree on an AES-GCM key between one key pair's private key and another's public key
+   */
+  agreeKey(privateKey, publicKey, usage) {
+    return crypto.subtle.deriveKey(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      [usage]
+    );
+  },
+
+  /**
+   * Derive the HMAC key for path keys
+   * ECDH between the store's own private and public keys gives a secret that
+   * only the unlocked private key can reproduce.
+   */
+  derivePathKey() {
+    return crypto.subtle.deriveKey(
+      { name: 'ECDH', public: this.publicKey },
+      this.privateKey,
+      { name: 'HMAC', hash: 'SHA-256', length: 256 },
+      false,
+      ['sign']
+    );
+  },
+
+  /**
+   * Hash a path key for storage (needs the unlocked path key)
+   * @param {string} path - Path key (see paths.js)
+   * @returns {string} "hmac:" and 32 hex characters
+   */
+  async hashPath(path) {
+    const signature = await crypto.subtle.sign('HMAC', this.pathKey, new TextEncoder().encode(path));
+    return `hmac:${Array.from(new Uint8Array(signature).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  },
+
+  /**
+   * Whether a stored path key is hashed with hashPath()
+   */
+  isHashedPath(path) {
+    return typeof path === 'string' && path.startsWith('hmac:');
+  },
+
+  /**
+   * Seal a string for storage (works while locked)
+   * @param {string} text - Plaintext
+   * @returns {string} "ephemeralPublicKey.iv.ciphertext", base64
+   */
+  async seal(text) {
+    const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+    const key = await this.agreeKey(ephemeral.privateKey, this.publicKey, 'encrypt');
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    const publicKey = await crypto.subtle.exportKey('raw', ephemeral.publicKey);
+
+    return [publicKey, iv, ciphertext].map(part => this.toBase64(part)).join('.');
+  },
+
+  /**
+   * Open a sealed string (needs the unlocked private key)
+   * @param {string} sealed - Result of seal()
+   * @returns {string} Plaintext
+   */
+  async open(sealed) {
+    const [publicKey, iv, ciphertext] = sealed.split('.').map(part => this.fromBase64(part));
+    const ephemeral = await crypto.subtle.importKey('raw', publicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const key = await this.agreeKey(this.privateKey, ephemeral, 'decrypt');
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+
+    return new TextDecoder().decode(plaintext);
+  },
+
+  /**
+   * Seal a session's URL, title and path key
+   * The stored copy keeps its origin as URL and its domain as title, so
+   * stats and rollups work without unlocking. Its path key is hashed, with
+   * the path also sealed on its own (sealedPath) for page lists; while
+   * locked it can't be hashed, so it is left out and marked pathPending.
+   * @param {object} session - Session
+   * @returns {object} Sealed copy
+   */
+  async sealSession(session) {
+    if (session.sealed) return session;
+
+    let origin;
+    try {
+      origin = `${new URL(session.url).origin}/`;
+    } catch (e) {
+      origin = session.domain;
+    }
+
+    const sealed = {
+      ...session,
+      url: origin,
+      title: session.domain,
+      path: null,
+      sealed: await this.seal(JSON.stringify({ url: session.url, title: session.title, path: session.path ?? null }))
+    };
+
+    if (session.path) {
+      sealed.sealedPath = await this.seal(session.path);
+      if (this.pathKey) {
+        sealed.path = await this.hashPath(session.path);
+      } else {
+        sealed.pathPending = true;
+      }
+    }
+
+    return sealed;
+  },
+
+  /**
+   * Restore a sealed session's URL, title and path key
+   * Sessions sealed before path keys were sealed keep their stored path.
+   * @param {object} session - Stored session
+   * @returns {object} Session without the sealed fields
+   */
+  async openSession(session) {
+    if (!session.sealed) return session;
+
+    const { sealed, sealedPath, pathPending, ...rest } = session;
+    const opened = JSON.parse(await this.open(sealed));
+    return { ...rest, ...opened, path: opened.path === undefined ? rest.path : opened.path };
+  },
+
+  /**
+   * Encrypt a value with the end-to-end sync key
+   * @param {string} text - Plaintext
+   * @returns {string} E2E_PREFIX + "iv.ciphertext", base64
+   */
+  async encryptForSync(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.syncKey, new TextEncoder().encode(text));
+    return `${E2E_PREFIX}${this.toBase64(iv)}.${this.toBase64(ciphertext)}`;
+  },
+
+  /**
+   * Get upload copies of stored sessions: opened, then end-to-end encrypted if on
+   * @param {Array} sessions - Stored sessions
+   * @returns {Array} Sessions ready for SyncManager.buildPayload
+   */
+  async prepareForUpload(sessions) {
+    if (!this.isEnabled()) return sessions;
+
+    return Promise.all(sessions.map(async (stored) => {
+      const session = await this.openSession(stored);
+      if (!this.syncKey) return session;
+
+      return {
+        ...session,
+        url: await this.encryptForSync(session.url),
+        title: session.title ? await this.encryptForSync(session.title) : session.title
+      };
+    }));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Encryption;
+}
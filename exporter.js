@@ -0,0 +1,218 @@
+/**
+ * Export formats for Internet Usage Tracker
+ * Serializes sessions as the JSON backup (readable by importer.js), CSV for
+ * spreadsheets, NDJSON for data pipelines or an iCalendar file with one event
+ * per session. The serializers only take plain data, so the options page and
+ * scheduled exports share them through background.js.
+ */
+
+const EXPORT_FORMAT = {
+  JSON: 'json',
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+  ICS: 'ics'
+};
+
+// File extension and MIME type of each format
+const EXPORT_FILE_TYPES = {
+  [EXPORT_FORMAT.JSON]: { extension: 'json', type: 'application/json' },
+  [EXPORT_FORMAT.CSV]: { extension: 'csv', type: 'text/csv' },
+  [EXPORT_FORMAT.NDJSON]: { extension: 'ndjson', type: 'application/x-ndjson' },
+  [EXPORT_FORMAT.ICS]: { extension: 'ics', type: 'text/calendar' }
+};
+
+const CSV_COLUMNS = [
+  'session_id', 'start', 'end', 'duration_seconds', 'domain', 'site',
+  'category', 'path', 'url', 'title', 'incognito', 'activity_type', 'window_id', 'device_id'
+];
+
+const Exporter = {
+  /**
+   * Keep the sessions on the chosen days and domains
+   * @param {Array} sessions - Sessions
+   * @param {object} filter - { from, to } day keys (inclusive, optional) and domains (patterns, empty for all)
+   * @returns {Array} Matching sessions
+   */
+  filterSessions(sessions, { from, to, domains = [] }) {
+    return sessions.filter((session) => {
+      const day = Utils.getDayKey(session.startTimestamp);
+      if ((from && day < from) || (to && day > to)) return false;
+      return domains.length === 0 || domains.some(pattern => Domains.matches(pattern, session.domain));
+    });
+  },
+
+  /**
+   * Copy of the config without credentials
+   */
+  withoutSecrets(config) {
+    const { apiKey, sealedSecrets, ...rest } = config;
+    return {
+      ...rest,
+      webhook: { ...config.webhook, headers: '' },
+      couchdb: { ...config.couchdb, password: '' }
+    };
+  },
+
+  /**
+   * Build an export file
+   * @param {string} format - One of EXPORT_FORMAT
+   * @param {object} data - { sessions, deviceId, config, exportedAt (seconds) }
+   * @param {object} options - { includeSecrets, includeDeviceIds, keepSealed (keep sessions' sealed fields, for backups) }
+   * @returns {object} { content, extension, type }
+   */
+  serialize(format, data, { includeSecrets = false, includeDeviceIds = true, keepSealed = false } = {}) {
+    const sessions = data.sessions.map((session) => {
+      const { sealed, ...rest } = session;
+      const exported = { ...(keepSealed ? session : rest), site: Domains.getSite(session.domain) };
+      if (!includeDeviceIds) delete exported.deviceId;
+      return exported;
+    });
+
+    let content;
+    switch (format) {
+      case EXPORT_FORMAT.CSV:
+        content = this.toCsv(sessions);
+        break;
+      case EXPORT_FORMAT.NDJSON:
+        content = sessions.map(({ syncState, ...session }) => `${JSON.stringify(session)}\n`).join('');
+        break;
+      case EXPORT_FORMAT.ICS:
+        content = this.toIcs(sessions, data.exportedAt);
+        break;
+      default:
+        format = EXPORT_FORMAT.JSON;
+        content = JSON.stringify({
+          ...(includeDeviceIds ? { deviceId: data.deviceId } : {}),
+          config: includeSecrets ? data.config : this.withoutSecrets(data.config),
+          // Sessions keep their sync state so a restore knows what is still unsynced
+          sessions,
+          exportedAt: new Date(data.exportedAt * 1000).toISOString()
+        }, null, 2);
+    }
+
+    return { content, ...EXPORT_FILE_TYPES[format] };
+  },
+
+  /**
+   * Quote a CSV cell (RFC 4180)
+   * Text starting like a formula is prefixed with a quote so spreadsheets
+   * show it instead of evaluating it.
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * One header row, then one row per session
+   */
+  toCsv(sessions) {
+    const rows = sessions.map(session => [
+      session.id,
+      new Date(session.startTimestamp * 1000).toISOString(),
+      new Date(session.endTimestamp * 1000).toISOString(),
+      session.durationSeconds,
+      session.domain,
+      session.site,
+      session.category,
+      session.path,
+      session.url,
+      session.title,
+      Boolean(session.incognito),
+      session.activityType || ACTIVITY_TYPE.INTERACTIVE,
+      session.windowId,
+      session.deviceId
+    ].map(value => this.csvCell(value)).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Format a timestamp as an iCalendar UTC date-time (e.g. "20240315T093000Z")
+   */
+  icsDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  },
+
+  /**
+   * Escape iCalendar text (RFC 5545 section 3.3.11)
+   */
+  icsText(text) {
+    return String(text ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Fold a content line at 75 octets (RFC 5545 section 3.1)
+   */
+  icsFold(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards the 75
+      if (octets + size > 75) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n');
+  },
+
+  /**
+   * One event per session, titled with its domain, for reviewing where time went
+   */
+  toIcs(sessions, exportedAt) {
+    const stamp = this.icsDate(exportedAt);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Internet Usage Tracker//Export//EN',
+      'CALSCALE:GREGORIAN'
+    ];
+
+    sessions.forEach((session) => {
+      const description = [
+        session.title !== session.domain ? session.title : null,
+        session.url,
+        Utils.formatDuration(session.durationSeconds)
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${session.id}@internet-tracker`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${this.icsDate(session.startTimestamp)}`,
+        // Zero-length events are hidden by some calendars
+        `DTEND:${this.icsDate(Math.max(session.endTimestamp, session.startTimestamp + 1))}`,
+        `SUMMARY:${this.icsText(session.domain)}`,
+        `DESCRIPTION:${this.icsText(description)}`,
+        ...(session.category ? [`CATEGORIES:${this.icsText(session.category)}`] : []),
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.icsFold(line)).join('\r\n') + '\r\n';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Exporter;
+}
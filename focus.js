@@ -0,0 +1,205 @@
+/**
+ * Focus mode for Internet Usage Tracker
+ * During scheduled focus hours, or a manual Pomodoro, visits to the focus
+ * list's domains are blocked or shown a warning first. Every such visit is
+ * recorded as a blocked-attempt event.
+ */
+
+const FOCUS_ALARM_NAME = 'focus-check';
+const FOCUS_END_ALARM_NAME = 'focus-end';
+const FOCUS_BYPASS_MINUTES = 10;
+
+const Focus = {
+  // Manual focus and warning bypasses, kept in memory and mirrored to storage.local
+  state: null,
+
+  /**
+   * Load focus state once
+   */
+  async loadState() {
+    if (!this.state) {
+      const stored = await browser.storage.local.get('focusState');
+      // An overlapping check may have loaded it while this one waited
+      if (!this.state) this.state = stored.focusState || { manualUntil: 0, bypassUntil: {} };
+    }
+    return this.state;
+  },
+
+  /**
+   * Persist focus state, dropping expired bypasses
+   */
+  async saveState() {
+    const now = Utils.getCurrentTimestamp();
+    Object.keys(this.state.bypassUntil).forEach(domain => {
+      if (this.state.bypassUntil[domain] <= now) delete this.state.bypassUntil[domain];
+    });
+    await browser.storage.local.set({ focusState: this.state });
+  },
+
+  /**
+   * Convert "HH:MM" to minutes after midnight
+   */
+  parseTime(time) {
+    const [hours, minutes] = (time || '').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  },
+
+  /**
+   * Find the end of the scheduled focus period covering a moment
+   * A schedule whose end is before its start runs past midnight.
+   * @param {Array} schedules - Schedules ({ days: [0-6, 0 = Sunday], start: "HH:MM", end: "HH:MM" })
+   * @param {Date} date - Moment to check
+   * @returns {number|null} End timestamp in seconds, or null outside focus hours
+   */
+  getScheduledEnd(schedules = [], date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const endOn = (dayOffset, endMinutes) => Math.floor(
+      new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, 0, endMinutes).getTime() / 1000
+    );
+
+    for (const schedule of schedules) {
+      const start = this.parseTime(schedule.start);
+      const end = this.parseTime(schedule.end);
+      const days = schedule.days || [];
+
+      if (start < end) {
+        if (days.includes(today) && minutes >= start && minutes < end) return endOn(0, end);
+      } else if (start > end) {
+        if (days.includes(today) && minutes >= start) return endOn(1, end);
+        if (days.includes(yesterday) && minutes < end) return endOn(0, end);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Whether focus mode is on right now, and until when
+   * @param {object} focus - Focus config
+   * @returns {object} { active, manual, until }
+   */
+  async getStatus(focus) {
+    const state = await this.loadState();
+    const now = Utils.getCurrentTimestamp();
+
+    if (state.manualUntil > now) {
+      return { active: true, manual: true, until: state.manualUntil };
+    }
+
+    const until = this.getScheduledEnd(focus?.schedules, new Date(now * 1000));
+    return { active: until !== null, manual: false, until };
+  },
+
+  /**
+   * Block or warn about a session on a focus domain while focus mode is on
+   * @param {object} focus - Focus config
+   * @param {object|null} session - Session that is being tracked
+   * @returns {boolean} Whether the tab was sent to the blocked page
+   */
+  async check(focus, session) {
+    if (!session || !focus || focus.domains.length === 0) return false;
+    if (!focus.domains.some(pattern => Domains.matches(pattern, session.domain))) return false;
+
+    const status = await this.getStatus(focus);
+    if (!status.active) return false;
+
+    const now = Utils.getCurrentTimestamp();
+    if ((this.state.bypassUntil[session.domain] || 0) > now) return false;
+
+    await SessionStore.addEvent({
+      type: EVENT_TYPE.BLOCKED_ATTEMPT,
+      reason: 'focus',
+      mode: focus.mode,
+      domain: session.domain,
+      timestamp: now
+    });
+
+    const params = new URLSearchParams({
+      reason: 'focus',
+      mode: focus.mode,
+      pattern: session.domain,
+      until: status.until,
+      url: session.url
+    });
+
+    console.log('[Focus] Blocked', session.domain, `(${focus.mode})`);
+    await browser.tabs.update(session.tabId, {
+      url: `${browser.runtime.getURL('blocked/blocked.html')}?${params}`
+    });
+    return true;
+  },
+
+  /**
+   * Let a warned-about domain through for a few minutes
+   * @param {string} domain - Domain to allow
+   * @param {number} minutes - Bypass length
+   */
+  async bypass(domain, minutes = FOCUS_BYPASS_MINUTES) {
+    const state = await this.loadState();
+    state.bypassUntil[domain] = Utils.getCurrentTimestamp() + minutes * 60;
+    await this.saveState();
+  },
+
+  /**
+   * Start a manual focus session
+   * @param {number} minutes - Session length
+   * @returns {number} End timestamp in seconds
+   */
+  async startManual(minutes) {
+    const state = await this.loadState();
+    state.manualUntil = Utils.getCurrentTimestamp() + minutes * 60;
+    await this.saveState();
+
+    browser.alarms.create(FOCUS_END_ALARM_NAME, { when: state.manualUntil * 1000 });
+    console.log('[Focus] Manual focus for', minutes, 'minutes');
+    return state.manualUntil;
+  },
+
+  /**
+   * Stop a manual focus session early
+   */
+  async stopManual() {
+    const state = await this.loadState();
+    state.manualUntil = 0;
+    await this.saveState();
+    await browser.alarms.clear(FOCUS_END_ALARM_NAME);
+  },
+
+  /**
+   * End a manual focus session when its alarm fires
+   */
+  async finishManual() {
+    await this.stopManual();
+
+    try {
+      await browser.notifications.create('focus-end', {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: 'Focus session complete',
+        message: 'Time for a break.'
+      });
+    } catch (error) {
+      console.error('[Focus] Failed to show notification:', error);
+    }
+  },
+
+  /**
+   * Recreate the end alarm of a manual session after a restart
+   */
+  async restoreEndAlarm() {
+    const state = await this.loadState();
+
+    if (state.manualUntil > Utils.getCurrentTimestamp()) {
+      browser.alarms.create(FOCUS_END_ALARM_NAME, { when: state.manualUntil * 1000 });
+    } else if (state.manualUntil) {
+      await this.stopManual();
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Focus;
+}
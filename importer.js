@@ -0,0 +1,175 @@
+/**
+ * Import for Internet Usage Tracker
+ * Reads the JSON written by Export Data, checks its format and works out
+ * which sessions are new, so an export can be restored after a reinstall or
+ * merged in from another browser profile. Exports from versions before
+ * session IDs existed get IDs derived from their contents. Storing the
+ * sessions is left to background.js, which applies the same privacy rules
+ * as to new sessions.
+ */
+
+// What imported sessions count as
+const IMPORT_PROVENANCE = {
+  KEEP: 'keep', // Another device's sessions: tagged with its device ID and never uploaded from here
+  ASSIGN: 'assign' // This device's own sessions (e.g. a restore): unsynced ones are synced again
+};
+
+const Importer = {
+  /**
+   * Check the overall shape of an export
+   * @param {object} data - Parsed export file
+   * @throws {Error} If the data isn't an Internet Usage Tracker export
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.sessions)) {
+      throw new Error('Not an Internet Usage Tracker export (no sessions list)');
+    }
+    if (data.deviceId !== undefined && typeof data.deviceId !== 'string') {
+      throw new Error('Not an Internet Usage Tracker export (invalid device ID)');
+    }
+  },
+
+  /**
+   * Whether an exported session has the fields a stored session needs
+   * The ID may be missing (older exports, see deriveId).
+   * @param {object} session - Exported session
+   * @returns {boolean} True if the session can be imported
+   */
+  isValidSession(session) {
+    return Boolean(session)
+      && (session.id === undefined || (typeof session.id === 'string' && session.id.length > 0))
+      && typeof session.url === 'string'
+      && typeof session.domain === 'string' && session.domain.length > 0
+      && Number.isFinite(session.startTimestamp)
+      && Number.isFinite(session.endTimestamp)
+      && Number.isFinite(session.durationSeconds)
+      && session.durationSeconds >= 0
+      && session.endTimestamp >= session.startTimestamp;
+  },
+
+  /**
+   * Derive an ID for a session exported before sessions had IDs
+   * The same session always gets the same ID, so importing one file twice
+   * still finds the duplicates. It is shaped like a UUID (version 5 bits),
+   * as backends key sessions on a UUID.
+   * @param {object} session - Exported session without an ID
+   * @param {string|null} sourceDeviceId - Device the export came from
+   * @returns {string} Session ID
+   */
+  async deriveId(session, sourceDeviceId) {
+    const key = JSON.stringify([sourceDeviceId, session.startTimestamp, session.url, session.tabId ?? null]);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+    digest[6] = (digest[6] & 0x0f) | 0x50;
+    digest[8] = (digest[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(digest.slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  },
+
+  /**
+   * Copy the stored fields of an exported session, with its provenance and sync state
+   * @param {object} session - Exported session
+   * @param {string|null} sourceDeviceId - Device the session came from
+   * @param {string} provenance - One of IMPORT_PROVENANCE
+   * @returns {object} Session ready to be stored
+   */
+  normalize(session, sourceDeviceId, provenance) {
+    const imported = {
+      id: session.id,
+      url: session.url,
+      domain: session.domain,
+      category: session.category ?? null,
+      // A path key hashed under another profile's key can't be totalled here
+      path: Encryption.isHashedPath(session.path) ? null : session.path ?? null,
+      title: typeof session.title === 'string' ? session.title : session.domain,
+      startTimestamp: session.startTimestamp,
+      endTimestamp: session.endTimestamp,
+      durationSeconds: session.durationSeconds,
+      tabId: session.tabId ?? null,
+      windowId: session.windowId ?? null,
+      incognito: Boolean(session.incognito),
+      activityType: Object.values(ACTIVITY_TYPE).includes(session.activityType)
+        ? session.activityType
+        : ACTIVITY_TYPE.INTERACTIVE,
+      overlapSeconds: Number.isFinite(session.overlapSeconds)
+        ? Math.min(Math.max(0, session.overlapSeconds), session.durationSeconds)
+        : 0
+    };
+
+    if (provenance === IMPORT_PROVENANCE.KEEP) {
+      return {
+        ...imported,
+        deviceId: session.deviceId || sourceDeviceId,
+        syncState: SYNC_STATE.ARCHIVED
+      };
+    }
+
+    return {
+      ...imported,
+      syncState: session.syncState === SYNC_STATE.ARCHIVED ? SYNC_STATE.ARCHIVED : SYNC_STATE.PENDING
+    };
+  },
+
+  /**
+   * Work out what an import would add, without storing anything
+   * @param {object} data - Parsed export file
+   * @param {object} options - { provenance, deviceId (this device), isSkipped(session) }
+   * @returns {object} { sessions, summary }, where sessions are the ones to store
+   */
+  async plan(data, { provenance, deviceId, isSkipped }) {
+    this.validate(data);
+
+    const sourceDeviceId = data.deviceId || null;
+    const existing = new Set();
+    await SessionStore.iterate(null, null, session => existing.add(session.id));
+
+    const summary = {
+      total: data.sessions.length,
+      invalid: 0,
+      duplicates: 0,
+      skipped: 0,
+      sessions: 0,
+      seconds: 0,
+      from: null,
+      to: null,
+      sourceDeviceId,
+      sameDevice: sourceDeviceId === deviceId,
+      exportedAt: data.exportedAt || null
+    };
+
+    const sessions = [];
+    for (const exported of data.sessions) {
+      if (!this.isValidSession(exported)) {
+        summary.invalid++;
+        continue;
+      }
+
+      const session = exported.id === undefined
+        ? { ...exported, id: await this.deriveId(exported, sourceDeviceId) }
+        : exported;
+      if (existing.has(session.id)) {
+        summary.duplicates++;
+        continue;
+      }
+      if (isSkipped(session)) {
+        summary.skipped++;
+        continue;
+      }
+
+      // Also dedupes within the file
+      existing.add(session.id);
+      sessions.push(this.normalize(session, sourceDeviceId, provenance));
+      summary.sessions++;
+      summary.seconds += session.durationSeconds;
+      summary.from = summary.from === null ? session.startTimestamp : Math.min(summary.from, session.startTimestamp);
+      summary.to = summary.to === null ? session.endTimestamp : Math.max(summary.to, session.endTimestamp);
+    }
+
+    return { sessions, summary };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Importer;
+}
@@ -0,0 +1,192 @@
+/**
+ * Daily time limits for Internet Usage Tracker
+ * Checks today's time on limited sites against their limits, warns with
+ * notifications and can send the tab to a "time's up" page.
+ */
+
+const LIMITS_ALARM_NAME = 'limits-check';
+const LIMIT_WARNING_RATIO = 0.8;
+const LIMIT_SNOOZE_MINUTES = 5;
+
+const Limits = {
+  // Today's notification and snooze state, kept in memory and mirrored to storage.local
+  state: null,
+
+  /**
+   * Today's usage for each configured limit
+   * Time on every domain a pattern covers, directly or through the site the
+   * domain is grouped under, counts towards that limit. Sessions running at
+   * the same time each count fully, as they do towards their site's total.
+   * @param {Array} limits - Configured limits ({ pattern, minutesPerDay, block })
+   * @param {Array} liveSessions - Running sessions with live durations
+   * @returns {Array} Limits with limitSeconds and usedSeconds
+   */
+  async getUsage(limits = [], liveSessions = []) {
+    const usage = limits
+      .filter(limit => limit.pattern && limit.minutesPerDay > 0)
+      .map(limit => ({ ...limit, limitSeconds: limit.minutesPerDay * 60, usedSeconds: 0 }));
+    if (usage.length === 0) return usage;
+
+    const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+    const addRow = (row) => {
+      usage.forEach(limit => {
+        if (Domains.matches(limit.pattern, row.domain)) limit.usedSeconds += row.seconds;
+      });
+    };
+
+    await Rollups.iterate(addRow, todayKey, todayKey);
+
+    liveSessions.forEach((session) => {
+      Rollups.getSessionRows(session).filter(row => row.day === todayKey).forEach(addRow);
+    });
+
+    return usage;
+  },
+
+  /**
+   * Find the first limit covering a domain
+   * @param {Array} usage - Result of getUsage
+   * @param {string} domain - Domain to look up
+   * @returns {object|null} Matching limit usage
+   */
+  findForDomain(usage, domain) {
+    return usage.find(limit => Domains.matches(limit.pattern, domain)) || null;
+  },
+
+  /**
+   * Load today's state, starting fresh on a new day
+   */
+  async loadState() {
+    const todayKey = Utils.getDayKey(Utils.getCurrentTimestamp());
+
+    if (!this.state) {
+      const stored = await browser.storage.local.get('limitState');
+      // An overlapping check may have loaded it while this one waited
+      if (!this.state) this.state = stored.limitState || null;
+    }
+
+    if (!this.state || this.state.day !== todayKey) {
+      this.state = { day: todayKey, notified: {}, snoozedUntil: {} };
+    }
+
+    return this.state;
+  },
+
+  /**
+   * Persist today's state
+   */
+  async saveState() {
+    await browser.storage.local.set({ limitState: this.state });
+  },
+
+  /**
+   * Forget notifications and snoozes (e.g. after clearing data)
+   */
+  async clearState() {
+    this.state = null;
+    await browser.storage.local.remove('limitState');
+  },
+
+  /**
+   * Evaluate every limit, notify at 80% and 100%, and enforce blocking limits
+   * @param {Array} limits - Configured limits
+   * @param {Array} liveSessions - Running sessions with live durations; each one over a blocking limit is blocked
+   */
+  async check(limits, liveSessions = []) {
+    const state = await this.loadState();
+    const usage = await this.getUsage(limits, liveSessions);
+    if (usage.length === 0) return;
+
+    // Mark notifications before any await so overlapping checks don't repeat them
+    const notifications = [];
+    usage.forEach(limit => {
+      const ratio = limit.usedSeconds / limit.limitSeconds;
+      const notified = state.notified[limit.pattern] || 0;
+
+      if (ratio >= 1 && notified < 1) {
+        state.notified[limit.pattern] = 1;
+        notifications.push(this.notify(limit, `Daily limit reached on ${limit.pattern}`));
+      } else if (ratio >= LIMIT_WARNING_RATIO && ratio < 1 && notified < LIMIT_WARNING_RATIO) {
+        state.notified[limit.pattern] = LIMIT_WARNING_RATIO;
+        notifications.push(this.notify(limit, `${Math.round(ratio * 100)}% of your daily limit on ${limit.pattern}`));
+      }
+    });
+
+    if (notifications.length > 0) {
+      await this.saveState();
+      await Promise.all(notifications);
+    }
+
+    for (const session of liveSessions) {
+      const limit = this.findForDomain(usage, session.domain);
+      if (limit && this.shouldBlock(limit)) {
+        await this.blockTab(session, limit);
+      }
+    }
+  },
+
+  /**
+   * Whether a limit's site should be blocked right now
+   * @param {object} limit - Limit usage
+   * @returns {boolean} True when the limit blocks, is used up and isn't snoozed
+   */
+  shouldBlock(limit) {
+    if (!limit.block || limit.usedSeconds < limit.limitSeconds) return false;
+
+    const snoozedUntil = this.state?.snoozedUntil[limit.pattern] || 0;
+    return Utils.getCurrentTimestamp() >= snoozedUntil;
+  },
+
+  /**
+   * Show a limit notification
+   * @param {object} limit - Limit usage
+   * @param {string} title - Notification title
+   */
+  async notify(limit, title) {
+    try {
+      await browser.notifications.create(`limit-${limit.pattern}`, {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title,
+        message: `${Utils.formatDuration(limit.usedSeconds)} of ${Utils.formatDuration(limit.limitSeconds)} used today`
+      });
+    } catch (error) {
+      console.error('[Limits] Failed to show notification:', error);
+    }
+  },
+
+  /**
+   * Send a tab to the "time's up" page
+   * @param {object} session - Session on the limited site
+   * @param {object} limit - Limit usage
+   */
+  async blockTab(session, limit) {
+    const params = new URLSearchParams({
+      pattern: limit.pattern,
+      minutes: limit.minutesPerDay,
+      url: session.url
+    });
+
+    console.log('[Limits] Blocking', session.domain, 'after reaching limit for', limit.pattern);
+    await browser.tabs.update(session.tabId, {
+      url: `${browser.runtime.getURL('blocked/blocked.html')}?${params}`
+    });
+  },
+
+  /**
+   * Allow a blocked site again for a few minutes
+   * @param {string} pattern - Limit pattern to snooze
+   * @param {number} minutes - Snooze length
+   */
+  async snooze(pattern, minutes = LIMIT_SNOOZE_MINUTES) {
+    const state = await this.loadState();
+    state.snoozedUntil[pattern] = Utils.getCurrentTimestamp() + minutes * 60;
+    await this.saveState();
+    console.log('[Limits] Snoozed', pattern, 'for', minutes, 'minutes');
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Limits;
+}
@@ -0,0 +1,95 @@
+/**
+ * Media-aware tracking for Internet Usage Tracker
+ * While the user is idle, a tab that is playing audio or video keeps its
+ * session going as passive media time instead of ending it. Playback is
+ * known from the tab's audible flag and from content/media.js, which also
+ * notices muted or silent videos. Optionally, audible tabs other than the
+ * tracked one get listening sessions of their own (see background.js).
+ */
+
+// How a session's time was spent
+const ACTIVITY_TYPE = {
+  INTERACTIVE: 'interactive', // Using the page
+  MEDIA: 'media', // Idle while audio or video played
+  LISTENING: 'listening' // Audio playing in a background tab
+};
+
+// Which domains' playback counts while idle
+const MEDIA_TRACKING = {
+  ALL: 'all',
+  LISTED: 'listed', // Only domains in mediaTracking.domains
+  OFF: 'off'
+};
+
+const Media = {
+  // Frames reported as playing by the content script: { tabId: { frameId: true } }
+  playingFrames: {},
+
+  /**
+   * Record a frame's playback state
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame ID (0 for the top frame)
+   * @param {boolean} playing - Whether any media element in the frame is playing
+   */
+  setPlaying(tabId, frameId, playing) {
+    const frames = this.playingFrames[tabId] || {};
+    if (playing) {
+      frames[frameId] = true;
+    } else {
+      delete frames[frameId];
+    }
+
+    if (Object.keys(frames).length > 0) {
+      this.playingFrames[tabId] = frames;
+    } else {
+      delete this.playingFrames[tabId];
+    }
+  },
+
+  /**
+   * Forget a tab's playback state (closed, or navigated away)
+   */
+  forgetTab(tabId) {
+    delete this.playingFrames[tabId];
+  },
+
+  /**
+   * Whether a tab is playing audio or video
+   * @param {object} tab - Tab object
+   * @returns {boolean} True if the tab is audible or a frame reported playback
+   */
+  isPlaying(tab) {
+    return Boolean(tab.audible) || Boolean(this.playingFrames[tab.id]);
+  },
+
+  /**
+   * Whether a tab can be heard (audible and not muted)
+   * @param {object} tab - Tab object
+   * @returns {boolean} True if the tab's audio reaches the user
+   */
+  isListening(tab) {
+    return Boolean(tab.audible) && !tab.mutedInfo?.muted;
+  },
+
+  /**
+   * Whether playback on a domain counts while idle
+   * @param {string} domain - Domain name
+   * @param {object} settings - config.mediaTracking ({ mode, domains })
+   * @returns {boolean} True if the domain's playback counts
+   */
+  isCounted(domain, settings) {
+    switch (settings?.mode) {
+      case MEDIA_TRACKING.OFF:
+        return false;
+      case MEDIA_TRACKING.LISTED:
+        return (settings.domains || []).some(pattern => Domains.matches(pattern, domain));
+      default:
+        return true;
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Media;
+}
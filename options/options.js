@@ -9,18 +9,97 @@ const elements = {
   deviceName: document.getElementById('deviceName'),
   userId: document.getElementById('userId'),
   userValidation: document.getElementById('userValidation'),
+  syncBackend: document.getElementById('syncBackend'),
+  backendFields: document.querySelectorAll('.backend-fields'),
   apiEndpoint: document.getElementById('apiEndpoint'),
   apiKey: document.getElementById('apiKey'),
+  webhookUrl: document.getElementById('webhookUrl'),
+  webhookHeaders: document.getElementById('webhookHeaders'),
+  webhookValidateUrl: document.getElementById('webhookValidateUrl'),
+  webhookFetchUrl: document.getElementById('webhookFetchUrl'),
+  couchdbUrl: document.getElementById('couchdbUrl'),
+  couchdbUsername: document.getElementById('couchdbUsername'),
+  couchdbPassword: document.getElementById('couchdbPassword'),
   syncInterval: document.getElementById('syncInterval'),
+  syncChunkSize: document.getElementById('syncChunkSize'),
+  serverTotals: document.getElementById('serverTotals'),
   idleDetection: document.getElementById('idleDetection'),
   idleOptions: document.getElementById('idleOptions'),
   idleThreshold: document.getElementById('idleThreshold'),
+  mediaTrackingMode: document.getElementById('mediaTrackingMode'),
+  mediaTrackingDomains: document.getElementById('mediaTrackingDomains'),
+  backgroundAudio: document.getElementById('backgroundAudio'),
+  multiWindow: document.getElementById('multiWindow'),
+  badgeMetric: document.getElementById('badgeMetric'),
   archiveRetention: document.getElementById('archiveRetention'),
+  backupFrequency: document.getElementById('backupFrequency'),
+  backupKeep: document.getElementById('backupKeep'),
+  backupStatus: document.getElementById('backupStatus'),
+  backupNowBtn: document.getElementById('backupNowBtn'),
+  excludedDomains: document.getElementById('excludedDomains'),
+  privacyLevel: document.getElementById('privacyLevel'),
+  privacyOverridesList: document.getElementById('privacyOverridesList'),
+  addPrivacyOverrideBtn: document.getElementById('addPrivacyOverrideBtn'),
+  incognitoPolicy: document.getElementById('incognitoPolicy'),
+  encryptionStatus: document.getElementById('encryptionStatus'),
+  encryptionSetup: document.getElementById('encryptionSetup'),
+  encryptionPassphrase: document.getElementById('encryptionPassphrase'),
+  encryptionConfirm: document.getElementById('encryptionConfirm'),
+  encryptionAtRest: document.getElementById('encryptionAtRest'),
+  encryptionE2e: document.getElementById('encryptionE2e'),
+  enableEncryptionBtn: document.getElementById('enableEncryptionBtn'),
+  encryptionControls: document.getElementById('encryptionControls'),
+  encryptionUnlock: document.getElementById('encryptionUnlock'),
+  encryptionUnlockPassphrase: document.getElementById('encryptionUnlockPassphrase'),
+  unlockEncryptionBtn: document.getElementById('unlockEncryptionBtn'),
+  lockEncryptionBtn: document.getElementById('lockEncryptionBtn'),
+  disableEncryptionBtn: document.getElementById('disableEncryptionBtn'),
+  domainGrouping: document.getElementById('domainGrouping'),
+  aliasesList: document.getElementById('aliasesList'),
+  addAliasBtn: document.getElementById('addAliasBtn'),
+  pathRulesList: document.getElementById('pathRulesList'),
+  addPathRuleBtn: document.getElementById('addPathRuleBtn'),
+  categoryRulesList: document.getElementById('categoryRulesList'),
+  categoryNames: document.getElementById('categoryNames'),
+  addCategoryRuleBtn: document.getElementById('addCategoryRuleBtn'),
+  categoryLabels: document.getElementById('categoryLabels'),
+  domainLabelsList: document.getElementById('domainLabelsList'),
+  addDomainLabelBtn: document.getElementById('addDomainLabelBtn'),
+  weeklySummary: document.getElementById('weeklySummary'),
+  limitsList: document.getElementById('limitsList'),
+  addLimitBtn: document.getElementById('addLimitBtn'),
+  focusName: document.getElementById('focusName'),
+  focusMode: document.getElementById('focusMode'),
+  focusDomains: document.getElementById('focusDomains'),
+  schedulesList: document.getElementById('schedulesList'),
+  addScheduleBtn: document.getElementById('addScheduleBtn'),
+  pomodoroMinutes: document.getElementById('pomodoroMinutes'),
   syncNowBtn: document.getElementById('syncNowBtn'),
   exportBtn: document.getElementById('exportBtn'),
+  exportPanel: document.getElementById('exportPanel'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportFrom: document.getElementById('exportFrom'),
+  exportTo: document.getElementById('exportTo'),
+  exportDomains: document.getElementById('exportDomains'),
+  exportOmitSecrets: document.getElementById('exportOmitSecrets'),
+  exportOmitDeviceIds: document.getElementById('exportOmitDeviceIds'),
+  downloadExportBtn: document.getElementById('downloadExportBtn'),
+  cancelExportBtn: document.getElementById('cancelExportBtn'),
+  importBtn: document.getElementById('importBtn'),
+  importFile: document.getElementById('importFile'),
+  importPreview: document.getElementById('importPreview'),
+  importSummary: document.getElementById('importSummary'),
+  importProvenance: document.getElementById('importProvenance'),
+  confirmImportBtn: document.getElementById('confirmImportBtn'),
+  cancelImportBtn: document.getElementById('cancelImportBtn'),
   clearDataBtn: document.getElementById('clearDataBtn'),
   saveBtn: document.getElementById('saveBtn'),
   syncStatus: document.getElementById('syncStatus'),
+  retryStatus: document.getElementById('retryStatus'),
+  rejectedStatus: document.getElementById('rejectedStatus'),
+  rejectedSummary: document.getElementById('rejectedSummary'),
+  retryRejectedBtn: document.getElementById('retryRejectedBtn'),
+  discardRejectedBtn: document.getElementById('discardRejectedBtn'),
   toast: document.getElementById('toast')
 };
 
@@ -36,15 +115,61 @@ function showToast(message, type = 'info') {
   }, 3000);
 }
 
+/**
+ * Read the backend settings from the form
+ */
+function getBackendConfig() {
+  return {
+    syncBackend: elements.syncBackend.value,
+    apiEndpoint: elements.apiEndpoint.value.trim().replace(/\/$/, ''), // Remove trailing slash
+    apiKey: elements.apiKey.value.trim(),
+    webhook: {
+      url: elements.webhookUrl.value.trim(),
+      headers: elements.webhookHeaders.value,
+      validateUrl: elements.webhookValidateUrl.value.trim(),
+      fetchUrl: elements.webhookFetchUrl.value.trim()
+    },
+    couchdb: {
+      url: elements.couchdbUrl.value.trim().replace(/\/$/, ''),
+      username: elements.couchdbUsername.value.trim(),
+      password: elements.couchdbPassword.value
+    }
+  };
+}
+
+/**
+ * Check if the selected backend has its required fields filled in
+ */
+function isBackendFilledIn(config) {
+  switch (config.syncBackend) {
+    case 'webhook':
+      return Boolean(config.webhook.url);
+    case 'couchdb':
+      return Boolean(config.couchdb.url);
+    case 'local':
+      return false;
+    default:
+      return Boolean(config.apiEndpoint && config.apiKey);
+  }
+}
+
+/**
+ * Show only the fields of the selected backend
+ */
+function toggleBackendFields() {
+  elements.backendFields.forEach(section => {
+    section.classList.toggle('hidden', section.dataset.backend !== elements.syncBackend.value);
+  });
+}
+
 /**
  * Validate user ID against the server
  */
 async function validateUser() {
   const userId = elements.userId.value.trim();
-  const apiEndpoint = elements.apiEndpoint.value.trim();
-  const apiKey = elements.apiKey.value.trim();
+  const config = getBackendConfig();
   
-  if (!userId || !apiEndpoint || !apiKey) {
+  if (!userId || !isBackendFilledIn(config)) {
     elements.userValidation.classList.add('hidden');
     return;
   }
@@ -57,7 +182,7 @@ async function validateUser() {
     const response = await browser.runtime.sendMessage({ 
       action: 'validateUser',
       userId,
-      config: { apiEndpoint, apiKey }
+      config
     });
     
     if (response.valid) {
@@ -100,15 +225,64 @@ async function loadSettings() {
       elements.deviceType.value = config.deviceProfile?.type || 'laptop';
       elements.deviceName.value = config.deviceProfile?.name || '';
       elements.userId.value = config.userId || '';
+      elements.syncBackend.value = config.syncBackend || 'supabase';
       elements.apiEndpoint.value = config.apiEndpoint || '';
       elements.apiKey.value = config.apiKey || '';
+      elements.webhookUrl.value = config.webhook?.url || '';
+      elements.webhookHeaders.value = config.webhook?.headers || '';
+      elements.webhookValidateUrl.value = config.webhook?.validateUrl || '';
+      elements.webhookFetchUrl.value = config.webhook?.fetchUrl || '';
+      elements.couchdbUrl.value = config.couchdb?.url || '';
+      elements.couchdbUsername.value = config.couchdb?.username || '';
+      elements.couchdbPassword.value = config.couchdb?.password || '';
       elements.syncInterval.value = config.syncIntervalMinutes || 180;
+      elements.syncChunkSize.value = config.syncChunkSize || 200;
+      elements.serverTotals.checked = config.serverTotalsEnabled || false;
       elements.idleDetection.checked = config.idleDetectionEnabled || false;
       elements.idleThreshold.value = config.idleThresholdMinutes || 5;
+      elements.mediaTrackingMode.value = config.mediaTracking?.mode || 'all';
+      elements.mediaTrackingDomains.value = (config.mediaTracking?.domains || []).join('\n');
+      elements.backgroundAudio.checked = config.backgroundAudioEnabled || false;
+      elements.multiWindow.checked = config.multiWindowEnabled || false;
+      elements.badgeMetric.value = config.badgeMetric || 'site';
       elements.archiveRetention.value = config.archiveRetentionDays || 30;
+      elements.backupFrequency.value = config.backup?.frequency || 'off';
+      elements.backupKeep.value = config.backup?.keep || 7;
+      
+      elements.excludedDomains.value = (config.excludedDomains || []).join('\n');
+      elements.privacyLevel.value = config.privacyLevel || 'full';
+      elements.privacyOverridesList.textContent = '';
+      (config.privacyOverrides || []).forEach(addPrivacyOverrideRow);
+      elements.incognitoPolicy.value = config.incognitoPolicy || 'sync';
+      
+      elements.domainGrouping.value = config.domainGrouping || 'hostname';
+      elements.aliasesList.textContent = '';
+      (config.domainAliases || []).forEach(addAliasRow);
+      elements.pathRulesList.textContent = '';
+      (config.pathTracking || []).forEach(addPathRuleRow);
+      
+      elements.categoryRulesList.textContent = '';
+      (config.categoryRules || []).forEach(addCategoryRuleRow);
+      renderCategoryNames(config.categoryRules || []);
+      
+      renderCategoryLabels(config.categoryRules || [], config.productivity?.categoryLabels || {});
+      elements.domainLabelsList.textContent = '';
+      (config.productivity?.domainLabels || []).forEach(addDomainLabelRow);
+      elements.weeklySummary.checked = config.productivity?.weeklySummaryEnabled ?? true;
+      
+      elements.limitsList.textContent = '';
+      (config.limits || []).forEach(addLimitRow);
+      
+      elements.focusName.value = config.focus?.name || '';
+      elements.focusMode.value = config.focus?.mode || 'block';
+      elements.focusDomains.value = (config.focus?.domains || []).join('\n');
+      elements.pomodoroMinutes.value = config.focus?.pomodoroMinutes || 25;
+      elements.schedulesList.textContent = '';
+      (config.focus?.schedules || []).forEach(addScheduleRow);
       
-      // Show/hide idle options
+      // Show/hide idle options and backend fields
       toggleIdleOptions();
+      toggleBackendFields();
     }
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -128,12 +302,41 @@ async function saveSettings() {
       os: navigator.platform
     },
     userId: elements.userId.value,
-    apiEndpoint: elements.apiEndpoint.value.replace(/\/$/, ''), // Remove trailing slash
-    apiKey: elements.apiKey.value,
+    ...getBackendConfig(),
     syncIntervalMinutes: Math.max(5, parseInt(elements.syncInterval.value) || 180),
+    syncChunkSize: Math.max(10, parseInt(elements.syncChunkSize.value) || 200),
+    serverTotalsEnabled: elements.serverTotals.checked,
     idleDetectionEnabled: elements.idleDetection.checked,
     idleThresholdMinutes: Math.max(1, parseInt(elements.idleThreshold.value) || 5),
-    archiveRetentionDays: Math.max(1, parseInt(elements.archiveRetention.value) || 30)
+    mediaTracking: {
+      mode: elements.mediaTrackingMode.value,
+      domains: elements.mediaTrackingDomains.value
+        .split('\n')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean)
+    },
+    backgroundAudioEnabled: elements.backgroundAudio.checked,
+    multiWindowEnabled: elements.multiWindow.checked,
+    badgeMetric: elements.badgeMetric.value,
+    archiveRetentionDays: Math.max(1, parseInt(elements.archiveRetention.value) || 30),
+    backup: {
+      frequency: elements.backupFrequency.value,
+      keep: Math.max(1, parseInt(elements.backupKeep.value) || 7)
+    },
+    excludedDomains: elements.excludedDomains.value
+      .split('\n')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    privacyLevel: elements.privacyLevel.value,
+    privacyOverrides: getPrivacyOverridesConfig(),
+    incognitoPolicy: elements.incognitoPolicy.value,
+    domainGrouping: elements.domainGrouping.value,
+    domainAliases: getAliasesConfig(),
+    pathTracking: getPathRulesConfig(),
+    categoryRules: getCategoryRulesConfig(),
+    productivity: getProductivityConfig(),
+    limits: getLimitsConfig(),
+    focus: getFocusConfig()
   };
   
   try {
@@ -144,13 +347,625 @@ async function saveSettings() {
     
     if (response.success) {
       showToast('Settings saved successfully!', 'success');
+      await loadBackupStatus();
     } else {
       throw new Error(response.error || 'Unknown error');
     }
   } catch (error) {
     console.error('Failed to save settings:', error);
-    showToast('Failed to save settings', 'error');
+    showToast(`Failed to save settings: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the encryption state and the matching controls
+ */
+function renderEncryptionStatus(status) {
+  elements.encryptionSetup.classList.toggle('hidden', status.enabled);
+  elements.encryptionControls.classList.toggle('hidden', !status.enabled);
+  elements.encryptionUnlock.classList.toggle('hidden', !status.locked);
+  elements.unlockEncryptionBtn.classList.toggle('hidden', !status.locked);
+  elements.lockEncryptionBtn.classList.toggle('hidden', status.locked);
+  elements.disableEncryptionBtn.disabled = status.locked;
+  
+  if (!status.enabled) {
+    elements.encryptionStatus.textContent = 'Encryption is off';
+    return;
+  }
+  
+  const modes = [
+    status.atRest && 'on this device',
+    status.e2e && 'end-to-end when syncing'
+  ].filter(Boolean).join(' and ');
+  elements.encryptionStatus.textContent = `${status.locked ? '🔒 Locked' : '🔓 Unlocked'}: encrypting ${modes}`;
+}
+
+/**
+ * Load the encryption state
+ */
+async function loadEncryptionStatus() {
+  try {
+    renderEncryptionStatus(await browser.runtime.sendMessage({ action: 'getEncryptionStatus' }));
+  } catch (error) {
+    console.error('Failed to load encryption status:', error);
+  }
+}
+
+/**
+ * Turn encryption on with the entered passphrase
+ */
+async function enableEncryption() {
+  const passphrase = elements.encryptionPassphrase.value;
+  const atRest = elements.encryptionAtRest.checked;
+  const e2e = elements.encryptionE2e.checked;
+  
+  if (!passphrase) {
+    showToast('Enter a passphrase', 'error');
+    return;
+  }
+  if (passphrase !== elements.encryptionConfirm.value) {
+    showToast('Passphrases do not match', 'error');
+    return;
+  }
+  if (!atRest && !e2e) {
+    showToast('Choose what to encrypt', 'error');
+    return;
+  }
+  if (e2e && !elements.userId.value.trim()) {
+    showToast('Set and save a User ID before turning on end-to-end sync', 'error');
+    return;
+  }
+  
+  elements.enableEncryptionBtn.disabled = true;
+  
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'enableEncryption',
+      passphrase,
+      options: { atRest, e2e }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    elements.encryptionPassphrase.value = '';
+    elements.encryptionConfirm.value = '';
+    renderEncryptionStatus(response);
+    showToast('Encryption turned on', 'success');
+  } catch (error) {
+    console.error('Failed to turn on encryption:', error);
+    showToast(`Failed to turn on encryption: ${error.message}`, 'error');
+  } finally {
+    elements.enableEncryptionBtn.disabled = false;
+  }
+}
+
+/**
+ * Unlock encryption and reload the settings it protects
+ */
+async function unlockEncryption() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'unlockEncryption',
+      passphrase: elements.encryptionUnlockPassphrase.value
+    });
+    
+    if (!response.success) {
+      showToast(response.error, 'error');
+      return;
+    }
+    
+    elements.encryptionUnlockPassphrase.value = '';
+    renderEncryptionStatus(response);
+    await loadSettings();
+    showToast('Unlocked', 'success');
+  } catch (error) {
+    console.error('Failed to unlock encryption:', error);
+    showToast('Failed to unlock', 'error');
+  }
+}
+
+/**
+ * Forget the unlocked keys until the passphrase is entered again
+ */
+async function lockEncryption() {
+  try {
+    renderEncryptionStatus(await browser.runtime.sendMessage({ action: 'lockEncryption' }));
+    await loadSettings();
+  } catch (error) {
+    console.error('Failed to lock encryption:', error);
+  }
+}
+
+/**
+ * Decrypt everything and turn encryption off
+ */
+async function disableEncryption() {
+  if (!confirm('Turn off encryption? Stored sessions and credentials will be decrypted on this device.')) {
+    return;
   }
+  
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'disableEncryption' });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    renderEncryptionStatus(response);
+    showToast('Encryption turned off', 'success');
+  } catch (error) {
+    console.error('Failed to turn off encryption:', error);
+    showToast(`Failed to turn off encryption: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Add an editable row for a per-domain privacy level
+ * The level select offers the same options as the default level's.
+ * @param {object} entry - { pattern, level }
+ */
+function addPrivacyOverrideRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'privacy-override-row';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'privacy-pattern';
+  pattern.placeholder = 'docs.google.com';
+  pattern.value = entry.pattern || '';
+  
+  const level = elements.privacyLevel.cloneNode(true);
+  level.removeAttribute('id');
+  level.className = 'privacy-level';
+  level.value = entry.level || 'domain-only';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove override';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(pattern);
+  row.appendChild(level);
+  row.appendChild(remove);
+  elements.privacyOverridesList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read per-domain privacy levels from the form, skipping rows without a pattern
+ */
+function getPrivacyOverridesConfig() {
+  return Array.from(elements.privacyOverridesList.querySelectorAll('.privacy-override-row'))
+    .map(row => ({
+      pattern: row.querySelector('.privacy-pattern').value.trim().toLowerCase(),
+      level: row.querySelector('.privacy-level').value
+    }))
+    .filter(entry => entry.pattern);
+}
+
+/**
+ * Add an editable row for an alias group
+ * @param {object} alias - { name, domains }
+ */
+function addAliasRow(alias = {}) {
+  const row = document.createElement('div');
+  row.className = 'alias-row';
+  
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'alias-name';
+  name.placeholder = 'youtube.com';
+  name.value = alias.name || '';
+  
+  const domains = document.createElement('input');
+  domains.type = 'text';
+  domains.className = 'alias-domains';
+  domains.placeholder = 'youtube.com, youtu.be';
+  domains.value = (alias.domains || []).join(', ');
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove alias group';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(name);
+  row.appendChild(domains);
+  row.appendChild(remove);
+  elements.aliasesList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read alias groups from the form, skipping rows without a name or domains
+ */
+function getAliasesConfig() {
+  return Array.from(elements.aliasesList.querySelectorAll('.alias-row'))
+    .map(row => ({
+      name: row.querySelector('.alias-name').value.trim(),
+      domains: row.querySelector('.alias-domains').value
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean)
+    }))
+    .filter(alias => alias.name && alias.domains.length > 0);
+}
+
+/**
+ * Add an editable row for a path tracking rule
+ * @param {object} rule - { domain, depth, pattern }
+ */
+function addPathRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'path-rule-row';
+  
+  const domain = document.createElement('input');
+  domain.type = 'text';
+  domain.className = 'path-domain';
+  domain.placeholder = 'github.com';
+  domain.value = rule.domain || '';
+  
+  const depth = document.createElement('input');
+  depth.type = 'number';
+  depth.className = 'path-depth';
+  depth.min = 1;
+  depth.max = 10;
+  depth.title = 'Path segments to keep';
+  depth.value = rule.depth || 2;
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'path-pattern';
+  pattern.placeholder = 'Pattern (optional), e.g. /display/*';
+  pattern.value = rule.pattern || '';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove rule';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(domain);
+  row.appendChild(depth);
+  row.appendChild(pattern);
+  row.appendChild(remove);
+  elements.pathRulesList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read path tracking rules from the form, skipping rows without a domain
+ */
+function getPathRulesConfig() {
+  return Array.from(elements.pathRulesList.querySelectorAll('.path-rule-row'))
+    .map(row => ({
+      domain: row.querySelector('.path-domain').value.trim().toLowerCase(),
+      depth: Math.max(1, parseInt(row.querySelector('.path-depth').value) || 2),
+      pattern: row.querySelector('.path-pattern').value.trim()
+    }))
+    .filter(rule => rule.domain);
+}
+
+// Category rule types and the placeholder shown for each
+const CATEGORY_RULE_TYPES = [
+  ['domain', 'Exact domain', 'docs.example.com'],
+  ['wildcard', 'Wildcard', '*.example.com'],
+  ['path', 'URL path prefix', 'github.com/my-org'],
+  ['regex', 'Regex', '^https://[^/]+/docs/']
+];
+
+/**
+ * Offer known category names as suggestions
+ */
+function renderCategoryNames(rules) {
+  elements.categoryNames.textContent = '';
+  Categories.getNames(rules).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    elements.categoryNames.appendChild(option);
+  });
+}
+
+/**
+ * Add an editable row for a category rule
+ * @param {object} rule - { type, pattern, category }
+ */
+function addCategoryRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'category-rule-row';
+  
+  const type = document.createElement('select');
+  type.className = 'rule-type';
+  CATEGORY_RULE_TYPES.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    type.appendChild(option);
+  });
+  type.value = rule.type || 'domain';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.value = rule.pattern || '';
+  
+  const updatePlaceholder = () => {
+    pattern.placeholder = CATEGORY_RULE_TYPES.find(([value]) => value === type.value)[2];
+  };
+  type.addEventListener('change', updatePlaceholder);
+  updatePlaceholder();
+  
+  const category = document.createElement('input');
+  category.type = 'text';
+  category.className = 'rule-category';
+  category.placeholder = 'Category';
+  category.setAttribute('list', 'categoryNames');
+  category.value = rule.category || '';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove rule';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(type);
+  row.appendChild(pattern);
+  row.appendChild(category);
+  row.appendChild(remove);
+  elements.categoryRulesList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read category rules from the form, skipping incomplete rows
+ */
+function getCategoryRulesConfig() {
+  return Array.from(elements.categoryRulesList.querySelectorAll('.category-rule-row'))
+    .map(row => ({
+      type: row.querySelector('.rule-type').value,
+      pattern: row.querySelector('.rule-pattern').value.trim(),
+      category: row.querySelector('.rule-category').value.trim()
+    }))
+    .filter(rule => rule.pattern && rule.category);
+}
+
+/**
+ * Create a select for productive/neutral/distracting
+ */
+function createLabelSelect(value) {
+  const select = document.createElement('select');
+  Object.values(PRODUCTIVITY_LABEL).forEach(label => {
+    const option = document.createElement('option');
+    option.value = label;
+    option.textContent = label.charAt(0).toUpperCase() + label.slice(1);
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Show a label select for every known category
+ */
+function renderCategoryLabels(rules, categoryLabels) {
+  elements.categoryLabels.textContent = '';
+  
+  [...new Set([...Categories.getNames(rules), UNCATEGORIZED])].forEach(category => {
+    const row = document.createElement('div');
+    row.className = 'category-label-row';
+    
+    const name = document.createElement('span');
+    name.textContent = category;
+    
+    const select = createLabelSelect(
+      categoryLabels[category] || DEFAULT_CATEGORY_LABELS[category] || PRODUCTIVITY_LABEL.NEUTRAL
+    );
+    select.dataset.category = category;
+    
+    row.appendChild(name);
+    row.appendChild(select);
+    elements.categoryLabels.appendChild(row);
+  });
+}
+
+/**
+ * Add an editable row for a domain label
+ * @param {object} entry - { pattern, label }
+ */
+function addDomainLabelRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'domain-label-row';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'domain-label-pattern';
+  pattern.placeholder = 'example.com';
+  pattern.value = entry.pattern || '';
+  
+  const select = createLabelSelect(entry.label || PRODUCTIVITY_LABEL.PRODUCTIVE);
+  select.className = 'domain-label-value';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove label';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(pattern);
+  row.appendChild(select);
+  row.appendChild(remove);
+  elements.domainLabelsList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read productivity settings from the form
+ * Only category labels that differ from the defaults are stored.
+ */
+function getProductivityConfig() {
+  const categoryLabels = {};
+  elements.categoryLabels.querySelectorAll('select').forEach(select => {
+    const category = select.dataset.category;
+    if (select.value !== (DEFAULT_CATEGORY_LABELS[category] || PRODUCTIVITY_LABEL.NEUTRAL)) {
+      categoryLabels[category] = select.value;
+    }
+  });
+  
+  return {
+    categoryLabels,
+    domainLabels: Array.from(elements.domainLabelsList.querySelectorAll('.domain-label-row'))
+      .map(row => ({
+        pattern: row.querySelector('.domain-label-pattern').value.trim().toLowerCase(),
+        label: row.querySelector('.domain-label-value').value
+      }))
+      .filter(entry => entry.pattern),
+    weeklySummaryEnabled: elements.weeklySummary.checked
+  };
+}
+
+// Gives each limit row's checkbox a unique ID for its label
+let limitRowCount = 0;
+
+/**
+ * Add an editable row for a daily limit
+ * @param {object} limit - { pattern, minutesPerDay, block }
+ */
+function addLimitRow(limit = {}) {
+  const row = document.createElement('div');
+  row.className = 'limit-row';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'limit-pattern';
+  pattern.placeholder = 'example.com';
+  pattern.value = limit.pattern || '';
+  
+  const minutes = document.createElement('input');
+  minutes.type = 'number';
+  minutes.className = 'limit-minutes';
+  minutes.min = 1;
+  minutes.max = 1440;
+  minutes.placeholder = 'Minutes';
+  minutes.value = limit.minutesPerDay || 60;
+  
+  const blockGroup = document.createElement('div');
+  blockGroup.className = 'checkbox-group';
+  const block = document.createElement('input');
+  block.type = 'checkbox';
+  block.className = 'limit-block';
+  block.id = `limitBlock${++limitRowCount}`;
+  block.checked = limit.block || false;
+  const blockLabel = document.createElement('label');
+  blockLabel.htmlFor = block.id;
+  blockLabel.textContent = 'Block';
+  blockGroup.appendChild(block);
+  blockGroup.appendChild(blockLabel);
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove limit';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(pattern);
+  row.appendChild(minutes);
+  row.appendChild(blockGroup);
+  row.appendChild(remove);
+  elements.limitsList.appendChild(row);
+  return row;
+}
+
+/**
+ * Read daily limits from the form, skipping rows without a pattern
+ */
+function getLimitsConfig() {
+  return Array.from(elements.limitsList.querySelectorAll('.limit-row'))
+    .map(row => ({
+      pattern: row.querySelector('.limit-pattern').value.trim().toLowerCase(),
+      minutesPerDay: Math.max(1, parseInt(row.querySelector('.limit-minutes').value) || 60),
+      block: row.querySelector('.limit-block').checked
+    }))
+    .filter(limit => limit.pattern);
+}
+
+// Schedule day checkboxes, Monday first; values match Date.getDay()
+const SCHEDULE_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
+/**
+ * Add an editable row for a focus schedule
+ * @param {object} schedule - { days, start, end }
+ */
+function addScheduleRow(schedule = { days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' }) {
+  const row = document.createElement('div');
+  row.className = 'schedule-row';
+  
+  const days = document.createElement('div');
+  days.className = 'schedule-days';
+  SCHEDULE_DAYS.forEach(([value, name]) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = (schedule.days || []).includes(value);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(name));
+    days.appendChild(label);
+  });
+  
+  const start = document.createElement('input');
+  start.type = 'time';
+  start.className = 'schedule-start';
+  start.value = schedule.start || '09:00';
+  
+  const end = document.createElement('input');
+  end.type = 'time';
+  end.className = 'schedule-end';
+  end.value = schedule.end || '12:00';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove schedule';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(days);
+  row.appendChild(start);
+  row.appendChild(document.createTextNode('to'));
+  row.appendChild(end);
+  row.appendChild(remove);
+  elements.schedulesList.appendChild(row);
+}
+
+/**
+ * Read focus mode settings from the form
+ */
+function getFocusConfig() {
+  return {
+    name: elements.focusName.value.trim() || 'Distractions',
+    mode: elements.focusMode.value,
+    domains: elements.focusDomains.value
+      .split('\n')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    schedules: Array.from(elements.schedulesList.querySelectorAll('.schedule-row'))
+      .map(row => ({
+        days: Array.from(row.querySelectorAll('.schedule-days input:checked')).map(input => Number(input.value)),
+        start: row.querySelector('.schedule-start').value,
+        end: row.querySelector('.schedule-end').value
+      }))
+      .filter(schedule => schedule.days.length > 0 && schedule.start && schedule.end),
+    pomodoroMinutes: Math.max(1, parseInt(elements.pomodoroMinutes.value) || 25)
+  };
 }
 
 /**
@@ -182,7 +997,15 @@ async function syncNow() {
       elements.syncStatus.classList.remove('info');
       elements.syncStatus.classList.add('success');
       elements.syncStatus.textContent = `✅ Sync complete! ${response.synced || 0} sessions synced.`;
+      appendChunkResults(response.chunks);
       showToast('Sync completed!', 'success');
+    } else if (response.synced > 0) {
+      // Some chunks went through, the rest are queued for retry or rejected
+      elements.syncStatus.classList.remove('info');
+      elements.syncStatus.classList.add('error');
+      elements.syncStatus.textContent = `⚠️ Partial sync: ${response.synced} sessions synced, ${response.queued || 0} queued for retry, ${response.rejected || 0} rejected.`;
+      appendChunkResults(response.chunks);
+      showToast('Sync partially failed', 'error');
     } else {
       throw new Error(response.error || 'Sync failed');
     }
@@ -195,31 +1018,339 @@ async function syncNow() {
   } finally {
     elements.syncNowBtn.disabled = false;
     elements.syncNowBtn.textContent = '🔄 Sync Now';
+    await loadRetryStatus();
   }
 }
 
 /**
- * Export data as JSON file
+ * List per-chunk upload results under the sync status message
+ */
+function appendChunkResults(chunks) {
+  if (!chunks || chunks.length <= 1) return;
+  
+  const list = document.createElement('ul');
+  chunks.forEach(chunk => {
+    const item = document.createElement('li');
+    item.textContent = chunk.success
+      ? `Chunk ${chunk.index + 1}: ${chunk.count} sessions synced`
+      : `Chunk ${chunk.index + 1}: ${chunk.count} sessions failed (${chunk.error})`;
+    list.appendChild(item);
+  });
+  elements.syncStatus.appendChild(list);
+}
+
+/**
+ * Show the failed sync queue and its retry schedule, and any rejected sessions
+ */
+async function loadRetryStatus() {
+  try {
+    const status = await browser.runtime.sendMessage({ action: 'getSyncStatus' });
+    renderRejectedStatus(status);
+    
+    if (!status || status.failedCount === 0) {
+      elements.retryStatus.classList.add('hidden');
+      return;
+    }
+    
+    const lines = [`${status.failedCount} session${status.failedCount !== 1 ? 's' : ''} waiting to sync.`];
+    if (status.lastError) {
+      lines.push(`Attempt ${status.retryAttempts} failed: ${status.lastError}`);
+    }
+    if (status.lastErrorPermanent) {
+      lines.push('This error will not go away by retrying. Check your settings, then use Sync Now.');
+    } else if (status.nextRetryAt) {
+      lines.push(`Next retry: ${new Date(status.nextRetryAt * 1000).toLocaleString()}`);
+    }
+    
+    elements.retryStatus.textContent = lines.join('\n');
+    elements.retryStatus.classList.remove('hidden');
+    elements.retryStatus.classList.toggle('error', status.lastErrorPermanent);
+    elements.retryStatus.classList.toggle('info', !status.lastErrorPermanent);
+  } catch (error) {
+    console.error('Failed to load sync status:', error);
+  }
+}
+
+/**
+ * Show sessions the backend refused, which are not retried until the user says so
+ */
+function renderRejectedStatus(status) {
+  if (!status || !status.rejectedCount) {
+    elements.rejectedStatus.classList.add('hidden');
+    return;
+  }
+  
+  const lines = [`${status.rejectedCount} session${status.rejectedCount !== 1 ? 's were' : ' was'} rejected by the server and will not be retried.`];
+  if (status.rejectedError) {
+    lines.push(`Error: ${status.rejectedError}`);
+  }
+  lines.push('Retry once the cause is fixed, or discard them: discarded sessions stay in your local history but are never uploaded.');
+  
+  elements.rejectedSummary.textContent = lines.join('\n');
+  elements.rejectedStatus.classList.remove('hidden');
+}
+
+/**
+ * Requeue rejected sessions and sync them again
+ */
+async function retryRejected() {
+  elements.retryRejectedBtn.disabled = true;
+  
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'retryRejectedSyncs' });
+    
+    if (response.success) {
+      showToast('Rejected sessions synced', 'success');
+    } else {
+      showToast(`Sync failed: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Retry failed:', error);
+    showToast('Retry failed', 'error');
+  } finally {
+    elements.retryRejectedBtn.disabled = false;
+    await loadRetryStatus();
+  }
+}
+
+/**
+ * Stop trying to upload rejected sessions
+ */
+async function discardRejected() {
+  if (!confirm('Discard the rejected sessions? They stay in your local history but will never be uploaded.')) {
+    return;
+  }
+  
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'discardRejectedSyncs' });
+    showToast(`Discarded ${response.discarded} sessions`, 'success');
+  } catch (error) {
+    console.error('Discard failed:', error);
+    showToast('Discard failed', 'error');
+  } finally {
+    await loadRetryStatus();
+  }
+}
+
+/**
+ * Export data in the chosen format, days and domains
  */
 async function exportData() {
+  if (elements.exportFrom.value && elements.exportTo.value && elements.exportFrom.value > elements.exportTo.value) {
+    showToast('The first day is after the last day', 'error');
+    return;
+  }
+  
   try {
-    const response = await browser.runtime.sendMessage({ action: 'exportData' });
+    const response = await browser.runtime.sendMessage({
+      action: 'exportData',
+      options: {
+        format: elements.exportFormat.value,
+        from: elements.exportFrom.value || null,
+        to: elements.exportTo.value || null,
+        domains: elements.exportDomains.value
+          .split(',')
+          .map(domain => domain.trim().toLowerCase())
+          .filter(Boolean),
+        includeSecrets: !elements.exportOmitSecrets.checked,
+        includeDeviceIds: !elements.exportOmitDeviceIds.checked
+      }
+    });
     
-    const blob = new Blob([JSON.stringify(response, null, 2)], { type: 'application/json' });
+    const blob = new Blob([response.content], { type: response.type });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `internet-tracker-export-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = response.filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
+    elements.exportPanel.classList.add('hidden');
     showToast('Data exported successfully!', 'success');
   } catch (error) {
     console.error('Export failed:', error);
-    showToast('Export failed', 'error');
+    showToast(`Export failed: ${error.message}`, 'error');
+  }
+}
+
+// Parsed export file waiting for the import to be confirmed
+let pendingImport = null;
+
+/**
+ * Read the chosen export file and preview what importing it would add
+ */
+async function previewImport() {
+  const file = elements.importFile.files[0];
+  elements.importFile.value = '';
+  if (!file) return;
+  
+  try {
+    pendingImport = JSON.parse(await file.text());
+  } catch (error) {
+    pendingImport = null;
+    showToast('Not a JSON file', 'error');
+    return;
+  }
+  
+  await refreshImportPreview(true);
+}
+
+/**
+ * Show counts and date range for the pending import with the chosen provenance
+ * @param {boolean} pickProvenance - Whether to preselect the provenance from the file's device
+ */
+async function refreshImportPreview(pickProvenance = false) {
+  try {
+    let response = await browser.runtime.sendMessage({
+      action: 'previewImport',
+      data: pendingImport,
+      provenance: elements.importProvenance.value
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    if (pickProvenance) {
+      const provenance = response.summary.sameDevice || !response.summary.sourceDeviceId ? 'assign' : 'keep';
+      if (provenance !== elements.importProvenance.value) {
+        elements.importProvenance.value = provenance;
+        response = await browser.runtime.sendMessage({ action: 'previewImport', data: pendingImport, provenance });
+      }
+    }
+    
+    renderImportSummary(response.summary);
+    elements.confirmImportBtn.disabled = response.summary.sessions === 0;
+    elements.importPreview.classList.remove('hidden');
+  } catch (error) {
+    console.error('Import preview failed:', error);
+    cancelImport();
+    showToast(`Can't import: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * List what an import adds and what it leaves out
+ */
+function renderImportSummary(summary) {
+  const formatDate = timestamp => new Date(timestamp * 1000).toLocaleDateString();
+  const source = summary.sameDevice
+    ? 'this device'
+    : summary.sourceDeviceId ? `device ${summary.sourceDeviceId}` : 'an unknown device';
+  
+  elements.importSummary.textContent = summary.sessions > 0
+    ? `📤 ${summary.sessions} new sessions (${Math.round(summary.seconds / 3600 * 10) / 10} h) from ${source}, ${formatDate(summary.from)} – ${formatDate(summary.to)}`
+    : `📤 Nothing new to import from ${source}`;
+  
+  const details = [
+    [summary.duplicates, 'already stored'],
+    [summary.skipped, 'excluded by your privacy settings'],
+    [summary.invalid, 'invalid, ignored']
+  ].filter(([count]) => count > 0);
+  
+  if (details.length > 0) {
+    const list = document.createElement('ul');
+    details.forEach(([count, reason]) => {
+      const item = document.createElement('li');
+      item.textContent = `${count} ${reason}`;
+      list.appendChild(item);
+    });
+    elements.importSummary.appendChild(list);
+  }
+}
+
+/**
+ * Merge the previewed sessions into the archive
+ */
+async function confirmImport() {
+  elements.confirmImportBtn.disabled = true;
+  
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'importData',
+      data: pendingImport,
+      provenance: elements.importProvenance.value
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    cancelImport();
+    showToast(`Imported ${response.summary.sessions} sessions`, 'success');
+  } catch (error) {
+    console.error('Import failed:', error);
+    showToast(`Import failed: ${error.message}`, 'error');
+    elements.confirmImportBtn.disabled = false;
+  }
+}
+
+/**
+ * Drop the pending import
+ */
+function cancelImport() {
+  pendingImport = null;
+  elements.importPreview.classList.add('hidden');
+}
+
+/**
+ * Show when the last backup was saved, and when the next one is due
+ */
+function renderBackupStatus(status) {
+  const formatTime = timestamp => new Date(timestamp * 1000).toLocaleString();
+  const failed = status.lastError && (!status.lastBackup || status.lastErrorAt > status.lastBackup);
+  
+  const lines = [
+    status.lastBackup
+      ? `✅ Last backup: ${formatTime(status.lastBackup)} (${status.backups.length} kept)`
+      : 'No backup yet'
+  ];
+  if (failed) {
+    lines.push(`❌ Last attempt failed ${formatTime(status.lastErrorAt)}: ${status.lastError}`);
+  }
+  if (status.nextBackup) {
+    lines.push(`Next backup: ${formatTime(status.nextBackup)}`);
+  }
+  
+  elements.backupStatus.classList.toggle('error', failed);
+  elements.backupStatus.classList.toggle('info', !failed);
+  elements.backupStatus.textContent = lines.join('\n');
+}
+
+/**
+ * Load the backup history
+ */
+async function loadBackupStatus() {
+  try {
+    renderBackupStatus(await browser.runtime.sendMessage({ action: 'getBackupStatus' }));
+  } catch (error) {
+    console.error('Failed to load backup status:', error);
+  }
+}
+
+/**
+ * Save a backup straight away
+ */
+async function backupNow() {
+  elements.backupNowBtn.disabled = true;
+  
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'backupNow' });
+    renderBackupStatus(response);
+    
+    if (response.success) {
+      showToast('Backup saved', 'success');
+    } else {
+      showToast(`Backup failed: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Backup failed:', error);
+    showToast('Backup failed', 'error');
+  } finally {
+    elements.backupNowBtn.disabled = false;
   }
 }
 
@@ -236,6 +1367,7 @@ async function clearData() {
     
     if (response.success) {
       showToast('All data cleared!', 'success');
+      await loadRetryStatus();
     } else {
       throw new Error(response.error || 'Failed to clear data');
     }
@@ -248,14 +1380,59 @@ async function clearData() {
 // Event Listeners
 elements.saveBtn.addEventListener('click', saveSettings);
 elements.syncNowBtn.addEventListener('click', syncNow);
-elements.exportBtn.addEventListener('click', exportData);
+elements.retryRejectedBtn.addEventListener('click', retryRejected);
+elements.discardRejectedBtn.addEventListener('click', discardRejected);
+elements.exportBtn.addEventListener('click', () => elements.exportPanel.classList.toggle('hidden'));
+elements.downloadExportBtn.addEventListener('click', exportData);
+elements.cancelExportBtn.addEventListener('click', () => elements.exportPanel.classList.add('hidden'));
+elements.importBtn.addEventListener('click', () => elements.importFile.click());
+elements.importFile.addEventListener('change', previewImport);
+elements.importProvenance.addEventListener('change', () => refreshImportPreview());
+elements.confirmImportBtn.addEventListener('click', confirmImport);
+elements.cancelImportBtn.addEventListener('click', cancelImport);
 elements.clearDataBtn.addEventListener('click', clearData);
+elements.backupNowBtn.addEventListener('click', backupNow);
 elements.idleDetection.addEventListener('change', toggleIdleOptions);
+elements.addPrivacyOverrideBtn.addEventListener('click', () => {
+  addPrivacyOverrideRow().querySelector('.privacy-pattern').focus();
+});
+elements.enableEncryptionBtn.addEventListener('click', enableEncryption);
+elements.unlockEncryptionBtn.addEventListener('click', unlockEncryption);
+elements.lockEncryptionBtn.addEventListener('click', lockEncryption);
+elements.disableEncryptionBtn.addEventListener('click', disableEncryption);
+elements.addAliasBtn.addEventListener('click', () => {
+  addAliasRow().querySelector('.alias-name').focus();
+});
+elements.addPathRuleBtn.addEventListener('click', () => {
+  addPathRuleRow().querySelector('.path-domain').focus();
+});
+elements.addCategoryRuleBtn.addEventListener('click', () => {
+  addCategoryRuleRow().querySelector('.rule-pattern').focus();
+});
+elements.addDomainLabelBtn.addEventListener('click', () => {
+  addDomainLabelRow().querySelector('.domain-label-pattern').focus();
+});
+elements.addLimitBtn.addEventListener('click', () => {
+  addLimitRow().querySelector('.limit-pattern').focus();
+});
+elements.addScheduleBtn.addEventListener('click', () => addScheduleRow());
+elements.syncBackend.addEventListener('change', () => {
+  toggleBackendFields();
+  debouncedValidateUser();
+});
 
 // Validate user when relevant fields change
 elements.userId.addEventListener('input', debouncedValidateUser);
 elements.apiEndpoint.addEventListener('input', debouncedValidateUser);
 elements.apiKey.addEventListener('input', debouncedValidateUser);
+elements.webhookUrl.addEventListener('input', debouncedValidateUser);
+elements.webhookValidateUrl.addEventListener('input', debouncedValidateUser);
+elements.couchdbUrl.addEventListener('input', debouncedValidateUser);
 
 // Load settings on page load
-document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  loadRetryStatus();
+  loadEncryptionStatus();
+  loadBackupStatus();
+});
@@ -0,0 +1,81 @@
+/**
+ * Path tracking for Internet Usage Tracker
+ * On selected domains, sessions also get a path key such as a repository
+ * ("/mozilla/gecko-dev") or wiki space, so a site's time can be broken down
+ * by page. Path totals are kept per day next to the domain rollups.
+ */
+
+// Path key for pages on a tracked domain that none of its patterns match
+const OTHER_PATH = 'Other';
+
+// Pages listed when a site is expanded in the popup
+const SITE_PAGES_LIMIT = 10;
+
+const Paths = {
+  /**
+   * Split a URL path into its non-empty segments
+   */
+  getSegments(pathname) {
+    return pathname.split('/').filter(Boolean);
+  },
+
+  /**
+   * Match path segments against a pattern such as "/display/*"
+   * "*" matches any one segment.
+   * @param {Array} segments - Path segments
+   * @param {string} pattern - Path pattern
+   * @returns {Array|null} The matched leading segments, or null
+   */
+  matchPattern(segments, pattern) {
+    const parts = this.getSegments(pattern.trim());
+    if (parts.length === 0 || segments.length < parts.length) return null;
+
+    const matches = parts.every((part, i) => part === '*' || part === segments[i]);
+    return matches ? segments.slice(0, parts.length) : null;
+  },
+
+  /**
+   * Get the path key a URL's time is counted under
+   * The first rule for the domain with a matching pattern wins; rules
+   * without a pattern keep the first `depth` path segments.
+   * @param {string} url - Full URL
+   * @param {string} domain - URL's domain
+   * @param {Array} rules - Path rules ({ domain, depth, pattern })
+   * @returns {string|null} Path key (e.g. "/mozilla/gecko-dev"), or null when the domain isn't tracked by path
+   */
+  getPathKey(url, domain, rules = []) {
+    const domainRules = rules.filter(rule => rule.domain && Domains.matches(rule.domain, domain));
+    if (domainRules.length === 0) return null;
+
+    let segments;
+    try {
+      segments = this.getSegments(new URL(url).pathname);
+    } catch (e) {
+      return null;
+    }
+
+    for (const rule of domainRules) {
+      const matched = rule.pattern
+        ? this.matchPattern(segments, rule.pattern)
+        : segments.slice(0, Math.max(1, rule.depth || 1));
+      if (matched) return `/${matched.join('/')}`;
+    }
+
+    return OTHER_PATH;
+  },
+
+  /**
+   * Whether any path rule covers a domain
+   * @param {string} domain - Domain name
+   * @param {Array} rules - Path rules
+   * @returns {boolean} Whether sessions on the domain get a path key
+   */
+  isTracked(domain, rules = []) {
+    return rules.some(rule => rule.domain && Domains.matches(rule.domain, domain));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Paths;
+}
@@ -6,20 +6,43 @@
 // State
 let allSites = [];
 let currentFilter = '';
+let currentCategory = '';
 let currentSort = 'time-desc';
+let expandedSite = null;
+let expandedPages = [];
 let updateInterval = null;
 
 // DOM Elements
 const elements = {
   todayTime: document.getElementById('todayTime'),
+  todayScore: document.getElementById('todayScore'),
   allTimeTime: document.getElementById('allTimeTime'),
+  incognitoCard: document.getElementById('incognitoCard'),
+  incognitoTime: document.getElementById('incognitoTime'),
+  incognitoSource: document.getElementById('incognitoSource'),
+  serverCard: document.getElementById('serverCard'),
+  serverTime: document.getElementById('serverTime'),
+  serverSource: document.getElementById('serverSource'),
   currentSession: document.getElementById('currentSession'),
+  concurrentSessions: document.getElementById('concurrentSessions'),
+  focusStatus: document.getElementById('focusStatus'),
+  focusBtn: document.getElementById('focusBtn'),
+  pauseStatus: document.getElementById('pauseStatus'),
+  pauseSelect: document.getElementById('pauseSelect'),
+  resumeBtn: document.getElementById('resumeBtn'),
+  lockBar: document.getElementById('lockBar'),
+  lockInput: document.getElementById('lockInput'),
+  unlockBtn: document.getElementById('unlockBtn'),
   searchInput: document.getElementById('searchInput'),
   sortSelect: document.getElementById('sortSelect'),
+  categoryFilter: document.getElementById('categoryFilter'),
+  groupingSelect: document.getElementById('groupingSelect'),
   sitesList: document.getElementById('sitesList'),
   pendingCount: document.getElementById('pendingCount'),
+  retryStatus: document.getElementById('retryStatus'),
   lastUpdate: document.getElementById('lastUpdate'),
   syncBtn: document.getElementById('syncBtn'),
+  dashboardBtn: document.getElementById('dashboardBtn'),
   settingsBtn: document.getElementById('settingsBtn')
 };
 
@@ -70,6 +93,18 @@ async function loadStats() {
     // Update totals
     elements.todayTime.textContent = formatTime(stats.todayTotal);
     elements.allTimeTime.textContent = formatTime(stats.allTimeTotal);
+    renderScore(stats.productivity);
+    renderIncognito(stats.incognito);
+    
+    // Server totals (all devices, synced sessions only)
+    if (stats.serverTotals) {
+      const fetchedAt = new Date(stats.serverTotals.fetchedAt * 1000);
+      elements.serverTime.textContent = formatTime(stats.serverTotals.totalSeconds);
+      elements.serverSource.textContent = `Server, as of ${fetchedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+      elements.serverCard.classList.remove('hidden');
+    } else {
+      elements.serverCard.classList.add('hidden');
+    }
     
     // Update current session
     if (stats.currentSession) {
@@ -89,6 +124,7 @@ async function loadStats() {
       noSessionSpan.textContent = 'No active session';
       elements.currentSession.appendChild(noSessionSpan);
     }
+    renderConcurrentSessions(stats);
     
     // Update pending count
     if (stats.pendingCount > 0) {
@@ -102,8 +138,27 @@ async function loadStats() {
       elements.pendingCount.textContent = '0 pending';
     }
     
+    // Update failed sync queue state
+    const syncStatus = await browser.runtime.sendMessage({ action: 'getSyncStatus' });
+    renderRetryStatus(syncStatus);
+    
+    // Update focus mode state
+    const focusStatus = await browser.runtime.sendMessage({ action: 'getFocusStatus' });
+    renderFocusStatus(focusStatus);
+    
+    // Update tracking pause state
+    const pauseStatus = await browser.runtime.sendMessage({ action: 'getPauseStatus' });
+    renderPauseStatus(pauseStatus);
+    
+    // Update encryption lock state
+    const encryptionStatus = await browser.runtime.sendMessage({ action: 'getEncryptionStatus' });
+    elements.lockBar.classList.toggle('hidden', !encryptionStatus.locked);
+    
     // Store sites for filtering/sorting
     allSites = stats.sites;
+    elements.groupingSelect.value = stats.grouping;
+    await loadExpandedPages();
+    renderCategoryFilter(stats.categories);
     renderSitesList();
     
     // Update timestamp
@@ -114,6 +169,261 @@ async function loadStats() {
   }
 }
 
+/**
+ * Refresh the top pages of the expanded site, collapsing it if it's gone
+ */
+async function loadExpandedPages() {
+  const site = allSites.find(s => s.domain === expandedSite);
+  if (!site) {
+    expandedSite = null;
+    expandedPages = [];
+    return;
+  }
+  
+  expandedPages = await browser.runtime.sendMessage({ action: 'getSitePages', hostnames: site.hostnames });
+}
+
+/**
+ * Show whether tracking is paused, and the matching control
+ */
+function renderPauseStatus(status) {
+  elements.pauseStatus.classList.toggle('paused', status.paused);
+  elements.pauseSelect.classList.toggle('hidden', status.paused);
+  elements.resumeBtn.classList.toggle('hidden', !status.paused);
+  
+  if (status.paused) {
+    const until = new Date(status.until * 1000);
+    const time = until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const isToday = until.toDateString() === new Date().toDateString();
+    elements.pauseStatus.textContent = `⏸ Paused until ${isToday ? time : `tomorrow ${time}`}`;
+  } else {
+    elements.pauseStatus.textContent = 'Tracking on';
+  }
+}
+
+/**
+ * Pause tracking for the chosen duration
+ */
+async function pauseTracking(duration) {
+  elements.pauseSelect.value = '';
+  
+  try {
+    renderPauseStatus(await browser.runtime.sendMessage({ action: 'pauseTracking', duration }));
+    await loadStats();
+  } catch (error) {
+    console.error('Failed to pause tracking:', error);
+  }
+}
+
+/**
+ * Resume tracking before the pause ends
+ */
+async function resumeTracking() {
+  try {
+    renderPauseStatus(await browser.runtime.sendMessage({ action: 'resumeTracking' }));
+    await loadStats();
+  } catch (error) {
+    console.error('Failed to resume tracking:', error);
+  }
+}
+
+/**
+ * Unlock encryption with the entered passphrase
+ */
+async function unlockEncryption() {
+  elements.unlockBtn.disabled = true;
+  
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: 'unlockEncryption',
+      passphrase: elements.lockInput.value
+    });
+    
+    elements.lockInput.classList.toggle('error', !result.success);
+    if (result.success) {
+      elements.lockInput.value = '';
+      await loadStats();
+    }
+  } catch (error) {
+    console.error('Failed to unlock encryption:', error);
+  } finally {
+    elements.unlockBtn.disabled = false;
+  }
+}
+
+/**
+ * Expand or collapse a site's top pages
+ */
+async function toggleSitePages(site) {
+  expandedSite = expandedSite === site.domain ? null : site.domain;
+  
+  try {
+    await loadExpandedPages();
+  } catch (error) {
+    console.error('Failed to load pages:', error);
+  }
+  renderSitesList();
+}
+
+/**
+ * Show private-window time when it is tracked and there is some
+ */
+function renderIncognito(incognito) {
+  if (!incognito || incognito.totalSeconds === 0) {
+    elements.incognitoCard.classList.add('hidden');
+    return;
+  }
+  
+  elements.incognitoTime.textContent = formatTime(incognito.todaySeconds);
+  elements.incognitoSource.textContent = incognito.policy === 'local' ? 'Today, not synced' : 'Today';
+  elements.incognitoCard.title = `Private windows, ${formatTime(incognito.totalSeconds)} all time. Also included in the totals.`;
+  elements.incognitoCard.classList.remove('hidden');
+}
+
+/**
+ * Show today's productivity score against the 30-day average
+ */
+function renderScore(productivity) {
+  const { today, average } = productivity;
+  elements.todayScore.classList.toggle('hidden', today === null);
+  if (today === null) return;
+  
+  elements.todayScore.classList.toggle('up', average !== null && today > average);
+  elements.todayScore.classList.toggle('down', average !== null && today < average);
+  
+  let trend = '';
+  if (average !== null && today !== average) {
+    trend = today > average ? ' ▲' : ' ▼';
+  }
+  elements.todayScore.textContent = `Score ${today}${trend}`;
+  elements.todayScore.title = `Productivity score (0-100). 30-day average: ${average}`;
+}
+
+/**
+ * Show queued sessions and when they will be retried, or sessions the server rejected
+ */
+function renderRetryStatus(status) {
+  if (!status || (status.failedCount === 0 && !status.rejectedCount)) {
+    elements.retryStatus.classList.add('hidden');
+    return;
+  }
+  
+  elements.retryStatus.classList.remove('hidden');
+  
+  // Rejected sessions wait for the user to retry or discard them in settings
+  if (status.failedCount === 0) {
+    elements.retryStatus.classList.add('permanent');
+    elements.retryStatus.title = status.rejectedError ? `Rejected: ${status.rejectedError}` : '';
+    elements.retryStatus.textContent = `⚠️ ${status.rejectedCount} rejected, see settings`;
+    return;
+  }
+  
+  elements.retryStatus.classList.toggle('permanent', status.lastErrorPermanent);
+  elements.retryStatus.title = status.lastError ? `Last error: ${status.lastError}` : '';
+  
+  if (status.lastErrorPermanent) {
+    elements.retryStatus.textContent = `⚠️ ${status.failedCount} queued, sync error`;
+  } else if (status.nextRetryAt) {
+    const wait = status.nextRetryAt - Math.floor(Date.now() / 1000);
+    elements.retryStatus.textContent = `${status.failedCount} queued, retry in ${formatTimeShort(Math.max(0, wait))}`;
+  } else {
+    elements.retryStatus.textContent = `${status.failedCount} queued`;
+  }
+}
+
+/**
+ * Show whether focus mode is on and offer to start or stop a Pomodoro
+ */
+function renderFocusStatus(status) {
+  const now = Math.floor(Date.now() / 1000);
+  
+  elements.focusStatus.classList.toggle('active', status.active);
+  elements.focusBtn.dataset.action = status.manual ? 'stop' : 'start';
+  elements.focusBtn.disabled = status.active && !status.manual;
+  
+  if (status.manual) {
+    elements.focusStatus.textContent = `🎯 Focusing, ${formatTimeShort(Math.max(0, status.until - now))} left`;
+    elements.focusBtn.textContent = 'Stop';
+  } else if (status.active) {
+    const until = new Date(status.until * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    elements.focusStatus.textContent = `🎯 Scheduled focus until ${until}`;
+    elements.focusBtn.textContent = `🎯 Focus ${status.pomodoroMinutes}m`;
+  } else {
+    elements.focusStatus.textContent = 'Focus mode off';
+    elements.focusBtn.textContent = `🎯 Focus ${status.pomodoroMinutes}m`;
+  }
+}
+
+/**
+ * Start or stop a manual focus session
+ */
+async function toggleFocus() {
+  const action = elements.focusBtn.dataset.action === 'stop' ? 'stopFocus' : 'startFocus';
+  
+  try {
+    renderFocusStatus(await browser.runtime.sendMessage({ action }));
+  } catch (error) {
+    console.error('Failed to toggle focus:', error);
+  }
+}
+
+/**
+ * Show the other windows and background tabs tracked alongside the current session
+ */
+function renderConcurrentSessions(stats) {
+  elements.concurrentSessions.textContent = '';
+  
+  const sessions = [
+    ...(stats.windowSessions || []).map(session => ({ ...session, icon: '🪟', hint: 'Active tab of another visible window' })),
+    ...(stats.listeningSessions || []).map(session => ({ ...session, icon: '🎧', hint: 'Listening in a background tab' }))
+  ];
+  
+  sessions.forEach(session => {
+    const row = document.createElement('div');
+    row.className = 'current-session-info concurrent-session';
+    
+    const domainSpan = document.createElement('span');
+    domainSpan.className = 'current-domain';
+    domainSpan.textContent = `${session.icon} ${session.domain}`;
+    domainSpan.title = session.hint;
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'current-time';
+    timeSpan.textContent = formatTimeShort(session.durationSeconds);
+    
+    row.appendChild(domainSpan);
+    row.appendChild(timeSpan);
+    elements.concurrentSessions.appendChild(row);
+  });
+}
+
+/**
+ * Fill the category filter with today's time per category
+ */
+function renderCategoryFilter(categories) {
+  // Rebuilding the options would close the dropdown while it is open
+  if (document.activeElement === elements.categoryFilter) return;
+  
+  elements.categoryFilter.textContent = '';
+  
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All';
+  elements.categoryFilter.appendChild(allOption);
+  
+  categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category.category;
+    option.textContent = `${category.category} (${formatTimeShort(category.todaySeconds)} today)`;
+    elements.categoryFilter.appendChild(option);
+  });
+  
+  // Keep the selection across refreshes
+  if (!categories.some(category => category.category === currentCategory)) {
+    currentCategory = '';
+  }
+  elements.categoryFilter.value = currentCategory;
+}
+
 /**
  * Render the sites list with current filter and sort
  */
@@ -124,11 +434,16 @@ function renderSitesList() {
   if (currentFilter) {
     const filter = currentFilter.toLowerCase();
     sites = sites.filter(site => 
+      site.hostnames.some(hostname => hostname.toLowerCase().includes(filter)) ||
       site.domain.toLowerCase().includes(filter) ||
       (site.lastTitle && site.lastTitle.toLowerCase().includes(filter))
     );
   }
   
+  if (currentCategory) {
+    sites = sites.filter(site => site.category === currentCategory);
+  }
+  
   // Apply sort
   sites.sort((a, b) => {
     switch (currentSort) {
@@ -140,6 +455,8 @@ function renderSitesList() {
         return a.domain.localeCompare(b.domain);
       case 'name-desc':
         return b.domain.localeCompare(a.domain);
+      case 'category':
+        return a.category.localeCompare(b.category) || b.totalSeconds - a.totalSeconds;
       default:
         return 0;
     }
@@ -153,9 +470,9 @@ function renderSitesList() {
     const iconDiv = document.createElement('div');
     iconDiv.className = 'empty-state-icon';
     const textDiv = document.createElement('div');
-    if (currentFilter) {
+    if (currentFilter || currentCategory) {
       iconDiv.textContent = '🔍';
-      textDiv.textContent = `No sites match "${currentFilter}"`;
+      textDiv.textContent = currentFilter ? `No sites match "${currentFilter}"` : `No ${currentCategory} sites`;
     } else {
       iconDiv.textContent = '📊';
       textDiv.textContent = 'No data yet. Start browsing!';
@@ -181,16 +498,33 @@ function renderSitesList() {
     
     const siteDomain = document.createElement('div');
     siteDomain.className = 'site-domain';
-    siteDomain.title = site.domain;
+    siteDomain.title = site.hostnames.join(', ');
     siteDomain.textContent = site.domain;
     
+    if (site.pathTracked) {
+      siteItem.classList.add('expandable');
+      siteItem.addEventListener('click', () => toggleSitePages(site));
+      
+      const caret = document.createElement('span');
+      caret.className = 'site-caret';
+      caret.textContent = expandedSite === site.domain ? ' ▾' : ' ▸';
+      siteDomain.appendChild(caret);
+    }
+    
     const siteSessions = document.createElement('div');
     siteSessions.className = 'site-sessions';
-    siteSessions.textContent = `${site.sessions} session${site.sessions !== 1 ? 's' : ''}`;
+    siteSessions.textContent = `${site.sessions} session${site.sessions !== 1 ? 's' : ''} · ${site.category}`;
+    if (site.mediaSeconds >= 60) {
+      siteSessions.textContent += ` · ▶ ${formatTimeShort(site.mediaSeconds)} media`;
+    }
     
     siteInfo.appendChild(siteDomain);
     siteInfo.appendChild(siteSessions);
     
+    if (site.limit) {
+      siteInfo.appendChild(createLimitBar(site.limit));
+    }
+    
     const timeContainer = document.createElement('div');
     
     const siteTime = document.createElement('div');
@@ -209,7 +543,105 @@ function renderSitesList() {
     siteItem.appendChild(siteInfo);
     siteItem.appendChild(timeContainer);
     elements.sitesList.appendChild(siteItem);
+    
+    if (expandedSite === site.domain) {
+      elements.sitesList.appendChild(createPagesList(expandedPages));
+    }
+  });
+}
+
+/**
+ * Create the list of a site's top pages
+ */
+function createPagesList(pages) {
+  const list = document.createElement('div');
+  list.className = 'site-pages';
+  
+  if (pages.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'page-empty';
+    empty.textContent = 'No pages recorded yet';
+    list.appendChild(empty);
+    return list;
+  }
+  
+  pages.forEach(page => {
+    const item = document.createElement('div');
+    item.className = 'page-item';
+    
+    const info = document.createElement('div');
+    info.className = 'site-info';
+    
+    const location = page.path.startsWith('/') ? `${page.domain}${page.path}` : `${page.domain} · ${page.path}`;
+    
+    const title = document.createElement('div');
+    title.className = 'page-title';
+    title.title = location;
+    title.textContent = page.lastTitle || location;
+    
+    const path = document.createElement('div');
+    path.className = 'page-path';
+    path.textContent = location;
+    
+    info.appendChild(title);
+    info.appendChild(path);
+    
+    const time = document.createElement('div');
+    time.className = 'page-time';
+    time.textContent = formatTimeShort(page.seconds);
+    if (page.todaySeconds > 0) {
+      time.title = `${formatTimeShort(page.todaySeconds)} today`;
+    }
+    
+    item.appendChild(info);
+    item.appendChild(time);
+    list.appendChild(item);
   });
+  
+  return list;
+}
+
+/**
+ * Create a progress bar for today's time against a daily limit
+ */
+function createLimitBar(limit) {
+  const ratio = limit.usedSeconds / limit.limitSeconds;
+  
+  const container = document.createElement('div');
+  container.className = 'limit';
+  container.title = `Daily limit for ${limit.pattern}`;
+  
+  const bar = document.createElement('div');
+  bar.className = 'limit-bar';
+  const fill = document.createElement('div');
+  fill.className = 'limit-fill';
+  if (ratio >= 1) {
+    fill.classList.add('over');
+  } else if (ratio >= 0.8) {
+    fill.classList.add('warning');
+  }
+  fill.style.width = `${Math.min(100, ratio * 100)}%`;
+  bar.appendChild(fill);
+  
+  const label = document.createElement('div');
+  label.className = 'limit-label';
+  label.textContent = `${formatTimeShort(limit.usedSeconds)} of ${formatTimeShort(limit.limitSeconds)} limit`;
+  
+  container.appendChild(bar);
+  container.appendChild(label);
+  return container;
+}
+
+/**
+ * Switch between grouping by site and by hostname
+ */
+async function changeGrouping(grouping) {
+  try {
+    await browser.runtime.sendMessage({ action: 'saveConfig', config: { domainGrouping: grouping } });
+    await loadStats();
+  } catch (error) {
+    console.error('Failed to change grouping:', error);
+  }
 }
 
 /**
@@ -244,6 +676,14 @@ async function handleSync() {
   await loadStats();
 }
 
+/**
+ * Open dashboard in a new tab
+ */
+function openDashboard() {
+  browser.tabs.create({ url: browser.runtime.getURL('dashboard/dashboard.html') });
+  window.close();
+}
+
 /**
  * Open settings page
  */
@@ -263,7 +703,30 @@ elements.sortSelect.addEventListener('change', (e) => {
   renderSitesList();
 });
 
+elements.categoryFilter.addEventListener('change', (e) => {
+  currentCategory = e.target.value;
+  renderSitesList();
+});
+
+elements.pauseSelect.addEventListener('change', (e) => {
+  if (e.target.value) pauseTracking(e.target.value);
+});
+
+elements.resumeBtn.addEventListener('click', resumeTracking);
+
+elements.unlockBtn.addEventListener('click', unlockEncryption);
+
+elements.lockInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') unlockEncryption();
+});
+
+elements.groupingSelect.addEventListener('change', (e) => {
+  changeGrouping(e.target.value);
+});
+
 elements.syncBtn.addEventListener('click', handleSync);
+elements.focusBtn.addEventListener('click', toggleFocus);
+elements.dashboardBtn.addEventListener('click', openDashboard);
 elements.settingsBtn.addEventListener('click', openSettings);
 
 // Initial load
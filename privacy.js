@@ -0,0 +1,84 @@
+/**
+ * URL privacy for Internet Usage Tracker
+ * Finished sessions are redacted to the configured privacy level before they
+ * are stored, so the archive, rollups, exports and syncs never see more of a
+ * URL or title than the user allowed.
+ */
+
+const PRIVACY_LEVEL = {
+  FULL: 'full', // URL and title as visited
+  NO_QUERY: 'no-query', // URL without query string or fragment
+  HASHED_PATH: 'hashed-path', // Origin plus a hash of the path, no title
+  DOMAIN_ONLY: 'domain-only' // Origin only, no title
+};
+
+// Hex characters of the SHA-256 digest kept for hashed paths
+const PATH_HASH_LENGTH = 16;
+
+const Privacy = {
+  /**
+   * Get the privacy level for a domain
+   * The first override covering the domain wins over the default level.
+   * @param {string} domain - Domain name
+   * @param {object} config - Extension configuration
+   * @returns {string} One of PRIVACY_LEVEL
+   */
+  getLevel(domain, config) {
+    const override = (config.privacyOverrides || [])
+      .find(entry => entry.pattern && Domains.matches(entry.pattern, domain));
+    return override ? override.level : config.privacyLevel || PRIVACY_LEVEL.FULL;
+  },
+
+  /**
+   * Hash a string with SHA-256
+   * @param {string} text - Text to hash
+   * @returns {string} First PATH_HASH_LENGTH hex characters of the digest
+   */
+  async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, PATH_HASH_LENGTH);
+  },
+
+  /**
+   * Redact a session to its domain's privacy level
+   * Path keys (see paths.js) are hashed or dropped along with the path.
+   * @param {object} session - Finished session
+   * @param {object} config - Extension configuration
+   * @returns {object} Redacted copy of the session
+   */
+  async redact(session, config) {
+    const level = this.getLevel(session.domain, config);
+    if (level === PRIVACY_LEVEL.FULL) return session;
+
+    let url;
+    try {
+      url = new URL(session.url);
+    } catch (e) {
+      return { ...session, url: session.domain, title: session.domain, path: null };
+    }
+
+    switch (level) {
+      case PRIVACY_LEVEL.NO_QUERY:
+        return { ...session, url: `${url.origin}${url.pathname}` };
+
+      case PRIVACY_LEVEL.HASHED_PATH:
+        return {
+          ...session,
+          url: `${url.origin}/sha256:${await this.hash(url.pathname)}`,
+          title: session.domain,
+          path: session.path ? `sha256:${await this.hash(session.path)}` : session.path
+        };
+
+      default:
+        return { ...session, url: `${url.origin}/`, title: session.domain, path: null };
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Privacy;
+}
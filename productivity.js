@@ -0,0 +1,191 @@
+/**
+ * Productivity scoring for Internet Usage Tracker
+ * Time is labelled productive, neutral or distracting by domain or category,
+ * and a day's score is the time-weighted average of its labels (0-100).
+ */
+
+const WEEKLY_SUMMARY_ALARM_NAME = 'weekly-summary';
+const PRODUCTIVITY_TREND_DAYS = 30;
+
+const PRODUCTIVITY_LABEL = {
+  PRODUCTIVE: 'productive',
+  NEUTRAL: 'neutral',
+  DISTRACTING: 'distracting'
+};
+
+// Score each label contributes per second
+const LABEL_SCORES = {
+  [PRODUCTIVITY_LABEL.PRODUCTIVE]: 100,
+  [PRODUCTIVITY_LABEL.NEUTRAL]: 50,
+  [PRODUCTIVITY_LABEL.DISTRACTING]: 0
+};
+
+// Labels for the bundled categories; anything else is neutral
+const DEFAULT_CATEGORY_LABELS = {
+  Development: PRODUCTIVITY_LABEL.PRODUCTIVE,
+  Docs: PRODUCTIVITY_LABEL.PRODUCTIVE,
+  Reference: PRODUCTIVITY_LABEL.PRODUCTIVE,
+  Productivity: PRODUCTIVITY_LABEL.PRODUCTIVE,
+  Social: PRODUCTIVITY_LABEL.DISTRACTING,
+  Video: PRODUCTIVITY_LABEL.DISTRACTING,
+  Shopping: PRODUCTIVITY_LABEL.DISTRACTING
+};
+
+const Productivity = {
+  /**
+   * Get the label for time on a domain in a category
+   * Domain labels win over category labels.
+   * @param {string} domain - Domain name
+   * @param {string} category - Category name
+   * @param {object} settings - { domainLabels: [{ pattern, label }], categoryLabels: { category: label } }
+   * @returns {string} One of PRODUCTIVITY_LABEL
+   */
+  getLabel(domain, category, settings = {}) {
+    const domainLabel = (settings.domainLabels || [])
+      .find(entry => Domains.matches(entry.pattern, domain));
+    if (domainLabel) return domainLabel.label;
+
+    return settings.categoryLabels?.[category]
+      || DEFAULT_CATEGORY_LABELS[category]
+      || PRODUCTIVITY_LABEL.NEUTRAL;
+  },
+
+  /**
+   * Score rollup rows
+   * @param {Array} rows - Rollup rows
+   * @param {object} settings - Productivity settings
+   * @param {Array} rules - Category rules
+   * @returns {object} { score (null without time), totalSeconds, productive, neutral, distracting }
+   */
+  scoreRows(rows, settings, rules) {
+    const result = { score: null, totalSeconds: 0, productive: 0, neutral: 0, distracting: 0 };
+    let weighted = 0;
+
+    rows.forEach(row => {
+      Object.entries(Categories.splitRow(row, rules)).forEach(([category, seconds]) => {
+        const label = this.getLabel(row.domain, category, settings);
+        result[label] += seconds;
+        result.totalSeconds += seconds;
+        weighted += LABEL_SCORES[label] * seconds;
+      });
+    });
+
+    if (result.totalSeconds > 0) {
+      result.score = Math.round(weighted / result.totalSeconds);
+    }
+    return result;
+  },
+
+  /**
+   * Score each day in a range
+   * @param {string} fromDay - First day key (inclusive)
+   * @param {string} toDay - Last day key (inclusive)
+   * @param {object} config - Extension configuration
+   * @param {Array} liveSessions - Running sessions with live durations
+   * @returns {Array} [{ day, score, totalSeconds, onlineSeconds, productive, neutral, distracting }], one per day;
+   *   totalSeconds counts concurrent sessions fully, onlineSeconds is wall-clock time
+   */
+  async getDailyScores(fromDay, toDay, config, liveSessions = []) {
+    const rowsByDay = {};
+    for (let day = fromDay; day <= toDay; day = Utils.addDays(day, 1)) {
+      rowsByDay[day] = [];
+    }
+
+    await Rollups.iterate(row => rowsByDay[row.day].push(row), fromDay, toDay);
+
+    liveSessions.forEach((session) => {
+      Rollups.getSessionRows(session).forEach((row) => {
+        if (rowsByDay[row.day]) rowsByDay[row.day].push(row);
+      });
+    });
+
+    return Object.keys(rowsByDay).map(day => ({
+      day,
+      ...this.scoreRows(rowsByDay[day], config.productivity, config.categoryRules),
+      onlineSeconds: rowsByDay[day].reduce((sum, row) => sum + row.seconds - (row.overlapSeconds || 0), 0)
+    }));
+  },
+
+  /**
+   * Time-weighted average score over several days
+   * @param {Array} days - Result of getDailyScores
+   * @returns {number|null} Score, or null without time
+   */
+  averageScore(days) {
+    const total = days.reduce((sum, day) => sum + day.totalSeconds, 0);
+    if (total === 0) return null;
+
+    const weighted = days.reduce((sum, day) => sum + (day.score || 0) * day.totalSeconds, 0);
+    return Math.round(weighted / total);
+  },
+
+  /**
+   * Today's score and the trend over the past 30 days
+   * @returns {object} { today, average, days }
+   */
+  async getSummary(config, liveSessions = []) {
+    const today = Utils.getDayKey(Utils.getCurrentTimestamp());
+    const days = await this.getDailyScores(
+      Utils.addDays(today, -(PRODUCTIVITY_TREND_DAYS - 1)),
+      today,
+      config,
+      liveSessions
+    );
+
+    return {
+      today: days[days.length - 1].score,
+      average: this.averageScore(days),
+      days
+    };
+  },
+
+  /**
+   * Next Monday at 09:00 local time
+   * @returns {number} Timestamp in milliseconds
+   */
+  getNextSummaryTime() {
+    const next = new Date();
+    next.setHours(9, 0, 0, 0);
+    const daysUntilMonday = (8 - next.getDay()) % 7;
+    next.setDate(next.getDate() + daysUntilMonday);
+    if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 7);
+    return next.getTime();
+  },
+
+  /**
+   * Show a notification summarizing the last 7 days
+   * @param {object} config - Extension configuration
+   */
+  async sendWeeklySummary(config) {
+    const today = Utils.getDayKey(Utils.getCurrentTimestamp());
+    const days = await this.getDailyScores(Utils.addDays(today, -7), Utils.addDays(today, -1), config);
+    const week = days.reduce((totals, day) => {
+      totals.totalSeconds += day.totalSeconds;
+      totals.onlineSeconds += day.onlineSeconds;
+      totals.productive += day.productive;
+      totals.distracting += day.distracting;
+      return totals;
+    }, { totalSeconds: 0, onlineSeconds: 0, productive: 0, distracting: 0 });
+
+    if (week.totalSeconds === 0) return;
+
+    const score = this.averageScore(days);
+    try {
+      await browser.notifications.create('weekly-summary', {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: `Your week: productivity score ${score}`,
+        message: `${Utils.formatDuration(week.onlineSeconds)} online, ` +
+          `${Utils.formatDuration(week.productive)} productive, ` +
+          `${Utils.formatDuration(week.distracting)} distracting`
+      });
+    } catch (error) {
+      console.error('[Productivity] Failed to show weekly summary:', error);
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Productivity;
+}
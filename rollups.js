@@ -0,0 +1,408 @@
+/**
+ * Rollups for Internet Usage Tracker
+ * Keeps per-day, per-domain totals and per-domain lifetime totals up to date
+ * as sessions finish, so stats don't have to scan raw sessions. Sessions with
+ * a path key are also totalled per path and day, and a session running past
+ * midnight is credited to each day it covers. None of these stores is ever
+ * pruned with the archive.
+ */
+
+const Rollups = {
+  /**
+   * Store a finished session and fold it into its days' rollups and lifetime totals
+   * All writes happen in one transaction so totals never drift from sessions.
+   * @param {object} session - Finished session (with syncState set)
+   */
+  async recordSession(session) {
+    const stores = [SESSIONS_STORE, ROLLUPS_STORE, LIFETIME_STORE, PATHS_STORE];
+
+    await SessionStore.transaction(stores, 'readwrite', (tx) => {
+      tx.objectStore(SESSIONS_STORE).put(session);
+
+      const rollups = tx.objectStore(ROLLUPS_STORE);
+      this.splitByDay(session).forEach((part) => {
+        const rollupRequest = rollups.get([Utils.getDayKey(part.startTimestamp), part.domain]);
+        rollupRequest.onsuccess = () => {
+          rollups.put(this.addSession(rollupRequest.result, part));
+        };
+      });
+
+      const lifetime = tx.objectStore(LIFETIME_STORE);
+      const lifetimeRequest = lifetime.get(session.domain);
+      lifetimeRequest.onsuccess = () => {
+        lifetime.put(this.addToLifetime(lifetimeRequest.result, this.addSession(undefined, session)));
+      };
+
+      if (session.path) {
+        this.addToPath(tx, session);
+      }
+    });
+  },
+
+  /**
+   * Fold a session into its path rows (one per day), within a transaction on PATHS_STORE
+   * A sealed session's row keeps its sealed path as label (see encryption.js).
+   */
+  addToPath(tx, session) {
+    const paths = tx.objectStore(PATHS_STORE);
+    this.splitByDay(session).forEach((part) => {
+      const pathRequest = paths.get([part.domain, part.path, Utils.getDayKey(part.startTimestamp)]);
+      pathRequest.onsuccess = () => {
+        const row = { ...this.addSession(pathRequest.result, part), path: part.path };
+        if (part.sealedPath && !row.label) row.label = part.sealedPath;
+        paths.put(row);
+      };
+    });
+  },
+
+  /**
+   * Split a session at local midnights, so each day gets the seconds spent on it
+   * Parts after the first are marked `continued` and don't count as another
+   * visit. Overlapping seconds (see windows.js) are shared out in proportion.
+   * @param {object} session - Finished or live session
+   * @returns {Array} One part per day; just the session when it stays within one day
+   */
+  splitByDay(session) {
+    const end = session.startTimestamp + session.durationSeconds;
+    const nextDay = (timestamp) => Utils.parseDayKey(Utils.addDays(Utils.getDayKey(timestamp), 1));
+    if (end <= nextDay(session.startTimestamp)) return [session];
+
+    const overlapSeconds = session.overlapSeconds || 0;
+    const parts = [];
+    let start = session.startTimestamp;
+    let overlapLeft = overlapSeconds;
+
+    while (start < end) {
+      const partEnd = Math.min(end, nextDay(start));
+      const last = partEnd === end;
+      const durationSeconds = partEnd - start;
+      const partOverlap = last ? overlapLeft : Math.floor(overlapSeconds * durationSeconds / session.durationSeconds);
+      overlapLeft -= partOverlap;
+
+      parts.push({
+        ...session,
+        startTimestamp: start,
+        endTimestamp: last ? session.endTimestamp : partEnd,
+        durationSeconds,
+        overlapSeconds: partOverlap,
+        continued: parts.length > 0
+      });
+      start = partEnd;
+    }
+
+    return parts;
+  },
+
+  /**
+   * Build rollup rows for a single session, one per day it covers
+   * @param {object} session - Finished or live session
+   * @returns {Array} Rollup rows
+   */
+  getSessionRows(session) {
+    return this.splitByDay(session).map(part => this.addSession(undefined, part));
+  },
+
+  /**
+   * Store sessions whose path key was hashed after they were recorded, and
+   * add them to the path totals they were left out of
+   * @param {Array} sessions - Stored sessions, now with hashed path keys
+   */
+  async recordPendingPaths(sessions) {
+    await SessionStore.transaction([SESSIONS_STORE, PATHS_STORE], 'readwrite', (tx) => {
+      sessions.forEach((session) => {
+        tx.objectStore(SESSIONS_STORE).put(session);
+        this.addToPath(tx, session);
+      });
+    });
+  },
+
+  /**
+   * Add a daily rollup row to a domain's lifetime totals
+   * @param {object|undefined} totals - Existing lifetime row for the domain
+   * @param {object} rollup - Daily rollup row (or a single-session row)
+   * @returns {object} Updated lifetime row
+   */
+  addToLifetime(totals, rollup) {
+    if (!totals) {
+      const { day, ...row } = rollup;
+      return row;
+    }
+
+    totals.seconds += rollup.seconds;
+    totals.sessions += rollup.sessions;
+    totals.categories = this.addCategories(totals.categories, rollup.categories);
+    totals.incognitoSeconds = (totals.incognitoSeconds || 0) + (rollup.incognitoSeconds || 0);
+    totals.mediaSeconds = (totals.mediaSeconds || 0) + (rollup.mediaSeconds || 0);
+    totals.overlapSeconds = (totals.overlapSeconds || 0) + (rollup.overlapSeconds || 0);
+    totals.firstVisit = Math.min(totals.firstVisit, rollup.firstVisit);
+
+    if (rollup.lastVisit >= totals.lastVisit) {
+      totals.lastVisit = rollup.lastVisit;
+      totals.lastTitle = rollup.lastTitle;
+    }
+
+    return totals;
+  },
+
+  /**
+   * Add one row's per-category seconds to another's
+   * @returns {object} Combined seconds per category
+   */
+  addCategories(target = {}, source = {}) {
+    const combined = { ...target };
+    Object.entries(source).forEach(([category, seconds]) => {
+      combined[category] = (combined[category] || 0) + seconds;
+    });
+    return combined;
+  },
+
+  /**
+   * Add a session to a rollup row
+   * Seconds are also counted per category; rows and sessions from before
+   * categories existed leave the rest to Categories.splitRow. Private-window
+   * and passive media seconds are counted separately as well, and so are
+   * seconds that overlap other sessions (see windows.js). The continuation of
+   * a session past midnight (see splitByDay) adds seconds but no visit.
+   * @param {object|undefined} rollup - Existing row for the session's day and domain
+   * @param {object} session - Finished session
+   * @returns {object} Updated row
+   */
+  addSession(rollup, session) {
+    const row = rollup || {
+      day: Utils.getDayKey(session.startTimestamp),
+      domain: session.domain,
+      seconds: 0,
+      sessions: 0,
+      firstVisit: session.startTimestamp,
+      lastVisit: session.endTimestamp,
+      lastTitle: session.title,
+      categories: {},
+      incognitoSeconds: 0,
+      mediaSeconds: 0,
+      overlapSeconds: 0
+    };
+
+    row.seconds += session.durationSeconds;
+    if (!session.continued) row.sessions++;
+    if (session.category) {
+      row.categories = this.addCategories(row.categories, { [session.category]: session.durationSeconds });
+    }
+    if (session.incognito) {
+      row.incognitoSeconds = (row.incognitoSeconds || 0) + session.durationSeconds;
+    }
+    if (session.activityType === ACTIVITY_TYPE.MEDIA) {
+      row.mediaSeconds = (row.mediaSeconds || 0) + session.durationSeconds;
+    }
+    if (session.overlapSeconds) {
+      row.overlapSeconds = (row.overlapSeconds || 0) + session.overlapSeconds;
+    }
+    row.firstVisit = Math.min(row.firstVisit, session.startTimestamp);
+
+    if (session.endTimestamp >= row.lastVisit) {
+      row.lastVisit = session.endTimestamp;
+      row.lastTitle = session.title;
+    }
+
+    return row;
+  },
+
+  /**
+   * Walk rollup rows, optionally limited to a day range
+   * @param {Function} callback - Called with each row
+   * @param {string} fromDay - First day key (inclusive), omit with toDay for all rows
+   * @param {string} toDay - Last day key (inclusive)
+   */
+  async iterate(callback, fromDay, toDay) {
+    // Arrays sort after strings, so [toDay, []] covers every domain on toDay
+    const range = fromDay && toDay ? IDBKeyRange.bound([fromDay], [toDay, []]) : null;
+
+    await SessionStore.transaction([ROLLUPS_STORE], 'readonly', (tx) => {
+      const request = tx.objectStore(ROLLUPS_STORE).openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        callback(cursor.value);
+        cursor.continue();
+      };
+    });
+  },
+
+  /**
+   * Get rollup rows for a day range
+   * @param {string} fromDay - First day key (inclusive)
+   * @param {string} toDay - Last day key (inclusive)
+   * @returns {Array} Rows ordered by day, then domain
+   */
+  async getRange(fromDay, toDay) {
+    const rows = [];
+    await this.iterate(row => rows.push(row), fromDay, toDay);
+    return rows;
+  },
+
+  /**
+   * Recompute every rollup from the stored sessions
+   */
+  async rebuild() {
+    const rows = {};
+
+    await SessionStore.iterate('startTimestamp', null, (session) => {
+      this.splitByDay(session).forEach((part) => {
+        const key = `${Utils.getDayKey(part.startTimestamp)}|${part.domain}`;
+        rows[key] = this.addSession(rows[key], part);
+      });
+    });
+
+    await SessionStore.transaction([ROLLUPS_STORE], 'readwrite', (tx) => {
+      const store = tx.objectStore(ROLLUPS_STORE);
+      store.clear();
+      Object.values(rows).forEach(row => store.put(row));
+    });
+
+    console.log('[Rollups] Rebuilt', Object.keys(rows).length, 'daily rollups');
+  },
+
+  /**
+   * Recompute lifetime totals from the daily rollups
+   * Daily rollups outlive raw sessions, so they are the complete history.
+   */
+  async rebuildLifetime() {
+    const totals = {};
+
+    await this.iterate((rollup) => {
+      totals[rollup.domain] = this.addToLifetime(totals[rollup.domain], { ...rollup });
+    });
+
+    await SessionStore.transaction([LIFETIME_STORE], 'readwrite', (tx) => {
+      const store = tx.objectStore(LIFETIME_STORE);
+      store.clear();
+      Object.values(totals).forEach(row => store.put(row));
+    });
+
+    console.log('[Rollups] Rebuilt lifetime totals for', Object.keys(totals).length, 'domains');
+  },
+
+  /**
+   * Build rollups and lifetime totals from existing data the first time they are used
+   */
+  async ensureBuilt() {
+    const stored = await browser.storage.local.get(['rollupsBuilt', 'lifetimeBuilt']);
+
+    if (!stored.rollupsBuilt) {
+      await this.rebuild();
+      await browser.storage.local.set({ rollupsBuilt: true });
+    }
+
+    if (!stored.lifetimeBuilt) {
+      await this.rebuildLifetime();
+      await browser.storage.local.set({ lifetimeBuilt: true });
+    }
+  },
+
+  /**
+   * Walk per-domain lifetime totals
+   * @param {Function} callback - Called with each row
+   */
+  async iterateLifetime(callback) {
+    await SessionStore.transaction([LIFETIME_STORE], 'readonly', (tx) => {
+      const request = tx.objectStore(LIFETIME_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        callback(cursor.value);
+        cursor.continue();
+      };
+    });
+  },
+
+  /**
+   * Total a domain's time per path, all-time and for one day
+   * @param {string} domain - Domain name
+   * @param {string} todayKey - Day key to report todaySeconds for
+   * @returns {Array} [{ domain, path, seconds, todaySeconds, sessions, lastVisit, lastTitle }]
+   */
+  async getPathTotals(domain, todayKey) {
+    const totals = {};
+
+    await SessionStore.transaction([PATHS_STORE], 'readonly', (tx) => {
+      // Arrays sort after strings, so [domain, []] covers every path
+      const range = IDBKeyRange.bound([domain], [domain, []]);
+      const request = tx.objectStore(PATHS_STORE).openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const row = cursor.value;
+        totals[row.path] = this.addToLifetime(totals[row.path], { ...row, todaySeconds: 0 });
+        if (row.day === todayKey) totals[row.path].todaySeconds += row.seconds;
+        cursor.continue();
+      };
+    });
+
+    return Object.values(totals);
+  },
+
+  /**
+   * Get every path row
+   * @returns {Array} Path rows
+   */
+  async getPathRows() {
+    const rows = [];
+    await SessionStore.transaction([PATHS_STORE], 'readonly', (tx) => {
+      const request = tx.objectStore(PATHS_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        rows.push(cursor.value);
+        cursor.continue();
+      };
+    });
+    return rows;
+  },
+
+  /**
+   * Replace path rows by copies stored under another path key
+   * @param {Array} replacements - [{ row, replacement }], row as read by getPathRows
+   */
+  async replacePathRows(replacements) {
+    await SessionStore.transaction([PATHS_STORE], 'readwrite', (tx) => {
+      const store = tx.objectStore(PATHS_STORE);
+      replacements.forEach(({ row }) => store.delete([row.domain, row.path, row.day]));
+      replacements.forEach(({ replacement }) => store.put(replacement));
+    });
+  },
+
+  /**
+   * Replace the last page title of every rollup, lifetime and path row by its domain
+   */
+  async redactTitles() {
+    const stores = [ROLLUPS_STORE, LIFETIME_STORE, PATHS_STORE];
+
+    await SessionStore.transaction(stores, 'readwrite', (tx) => {
+      stores.forEach(name => {
+        const request = tx.objectStore(name).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          cursor.update({ ...cursor.value, lastTitle: cursor.value.domain });
+          cursor.continue();
+        };
+      });
+    });
+  },
+
+  /**
+   * Delete every rollup, lifetime and path total
+   */
+  async clear() {
+    await SessionStore.transaction([ROLLUPS_STORE, LIFETIME_STORE, PATHS_STORE], 'readwrite', (tx) => {
+      tx.objectStore(ROLLUPS_STORE).clear();
+      tx.objectStore(LIFETIME_STORE).clear();
+      tx.objectStore(PATHS_STORE).clear();
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Rollups;
+}
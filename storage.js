@@ -0,0 +1,288 @@
+/**
+ * IndexedDB session storage for Internet Usage Tracker
+ * Pending, failed and archived sessions live in one object store and are
+ * told apart by their syncState, so readers can query by index and range.
+ */
+
+const DB_NAME = 'internet-tracker';
+const DB_VERSION = 5;
+const SESSIONS_STORE = 'sessions';
+const ROLLUPS_STORE = 'rollups';
+const LIFETIME_STORE = 'lifetime';
+const EVENTS_STORE = 'events';
+const PATHS_STORE = 'paths';
+
+// Sync states a stored session can be in
+const SYNC_STATE = {
+  PENDING: 'pending', // Recorded, not handed to a sync yet
+  FAILED: 'failed', // Sync failed, waiting in the retry queue
+  REJECTED: 'rejected', // Refused by the backend; waits for the user to retry or discard it
+  ARCHIVED: 'archived' // Synced, or archived locally when no backend is configured
+};
+
+// Events recorded alongside sessions; they are not synced
+const EVENT_TYPE = {
+  BLOCKED_ATTEMPT: 'blocked-attempt' // Visit to a site blocked or warned about by focus mode
+};
+
+const SessionStore = {
+  dbPromise: null,
+
+  /**
+   * Open (and create or upgrade) the database once
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  },
+
+  /**
+   * Create object stores and indexes for each schema version
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {number} oldVersion - Version before the upgrade (0 when new)
+   */
+  upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+      sessions.createIndex('startTimestamp', 'startTimestamp');
+      sessions.createIndex('domain', 'domain');
+      sessions.createIndex('syncState', ['syncState', 'startTimestamp']);
+    }
+
+    if (oldVersion < 2) {
+      // Per-day, per-domain totals (see rollups.js)
+      const rollups = db.createObjectStore(ROLLUPS_STORE, { keyPath: ['day', 'domain'] });
+      rollups.createIndex('domain', 'domain');
+    }
+
+    if (oldVersion < 3) {
+      // Per-domain lifetime totals, never pruned (see rollups.js)
+      db.createObjectStore(LIFETIME_STORE, { keyPath: 'domain' });
+    }
+
+    if (oldVersion < 4) {
+      const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+      events.createIndex('type', ['type', 'timestamp']);
+    }
+
+    if (oldVersion < 5) {
+      // Per-path, per-day totals for domains tracked by path (see paths.js)
+      db.createObjectStore(PATHS_STORE, { keyPath: ['domain', 'path', 'day'] });
+    }
+  },
+
+  /**
+   * Run fn in a transaction and resolve once it has committed
+   * If fn returns an IDBRequest, its result is resolved; otherwise fn's return value.
+   * @param {Array} storeNames - Object stores in scope
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Receives the transaction
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      result = fn(tx);
+    });
+  },
+
+  /**
+   * Walk records with a cursor without loading them all at once
+   * @param {string|null} indexName - Index to walk, or null for the primary key
+   * @param {IDBKeyRange|null} range - Key range to limit the walk
+   * @param {Function} callback - Called with each record
+   */
+  async iterate(indexName, range, callback) {
+    await this.transaction([SESSIONS_STORE], 'readonly', (tx) => {
+      const store = tx.objectStore(SESSIONS_STORE);
+      const source = indexName ? store.index(indexName) : store;
+      const request = source.openCursor(range);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        callback(cursor.value);
+        cursor.continue();
+      };
+    });
+  },
+
+  /**
+   * Key range over one sync state, ordered by start time
+   */
+  stateRange(state) {
+    return IDBKeyRange.bound([state, -Infinity], [state, Infinity]);
+  },
+
+  /**
+   * Insert or replace sessions (keyed by session ID)
+   * @param {Array} sessions - Sessions to store
+   */
+  async put(sessions) {
+    if (sessions.length === 0) return;
+
+    await this.transaction([SESSIONS_STORE], 'readwrite', (tx) => {
+      const store = tx.objectStore(SESSIONS_STORE);
+      sessions.forEach(session => store.put(session));
+    });
+  },
+
+  /**
+   * Store sessions in the given sync state
+   * @param {Array} sessions - Sessions to store
+   * @param {string} state - One of SYNC_STATE
+   * @param {object} changes - Extra fields to set on each session
+   */
+  async setState(sessions, state, changes = {}) {
+    await this.put(sessions.map(session => ({ ...session, ...changes, syncState: state })));
+  },
+
+  /**
+   * Get sessions in a sync state, oldest first
+   * @param {string} state - One of SYNC_STATE
+   * @param {number} limit - Maximum number of sessions
+   * @returns {Array} Sessions
+   */
+  async getByState(state, limit) {
+    return this.transaction([SESSIONS_STORE], 'readonly', (tx) =>
+      tx.objectStore(SESSIONS_STORE).index('syncState').getAll(this.stateRange(state), limit)
+    );
+  },
+
+  /**
+   * Count sessions in a sync state
+   * @param {string} state - One of SYNC_STATE
+   * @returns {number} Session count
+   */
+  async countByState(state) {
+    return this.transaction([SESSIONS_STORE], 'readonly', (tx) =>
+      tx.objectStore(SESSIONS_STORE).index('syncState').count(this.stateRange(state))
+    );
+  },
+
+  /**
+   * Get sessions that started in [from, to), in any sync state
+   * @param {number} from - Start timestamp in seconds (inclusive)
+   * @param {number} to - End timestamp in seconds (exclusive)
+   * @returns {Array} Sessions ordered by start time
+   */
+  async getRange(from = 0, to = Infinity) {
+    return this.transaction([SESSIONS_STORE], 'readonly', (tx) =>
+      tx.objectStore(SESSIONS_STORE).index('startTimestamp')
+        .getAll(IDBKeyRange.bound(from, to, false, true))
+    );
+  },
+
+  /**
+   * Delete archived sessions that started and were archived before the cutoff
+   * @param {number} cutoffTimestamp - Timestamp in seconds
+   * @returns {number} Number of deleted sessions
+   */
+  async deleteArchivedBefore(cutoffTimestamp) {
+    let removed = 0;
+
+    await this.transaction([SESSIONS_STORE], 'readwrite', (tx) => {
+      const range = IDBKeyRange.upperBound(cutoffTimestamp);
+      const request = tx.objectStore(SESSIONS_STORE).index('startTimestamp').openCursor(range);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const session = cursor.value;
+        if (session.syncState === SYNC_STATE.ARCHIVED && !(session.archivedAt > cutoffTimestamp)) {
+          cursor.delete();
+          removed++;
+        }
+        cursor.continue();
+      };
+    });
+
+    return removed;
+  },
+
+  /**
+   * Delete every stored session
+   */
+  async clear() {
+    await this.transaction([SESSIONS_STORE], 'readwrite', (tx) => {
+      tx.objectStore(SESSIONS_STORE).clear();
+    });
+  },
+
+  /**
+   * Record an event
+   * @param {object} event - Event with type, timestamp and type-specific fields
+   */
+  async addEvent(event) {
+    await this.transaction([EVENTS_STORE], 'readwrite', (tx) => {
+      tx.objectStore(EVENTS_STORE).put({ id: Utils.generateUUID(), ...event });
+    });
+  },
+
+  /**
+   * Get events of one type in [from, to)
+   * @param {string} type - One of EVENT_TYPE
+   * @param {number} from - Timestamp in seconds (inclusive)
+   * @param {number} to - Timestamp in seconds (exclusive)
+   * @returns {Array} Events ordered by timestamp
+   */
+  async getEvents(type, from = 0, to = Infinity) {
+    return this.transaction([EVENTS_STORE], 'readonly', (tx) =>
+      tx.objectStore(EVENTS_STORE).index('type')
+        .getAll(IDBKeyRange.bound([type, from], [type, to], false, true))
+    );
+  },
+
+  /**
+   * Delete every recorded event
+   */
+  async clearEvents() {
+    await this.transaction([EVENTS_STORE], 'readwrite', (tx) => {
+      tx.objectStore(EVENTS_STORE).clear();
+    });
+  },
+
+  /**
+   * One-time move of sessions from the old storage.local arrays
+   * Sessions recorded before sessions had IDs are given one here.
+   */
+  async migrateFromStorageLocal() {
+    const stored = await browser.storage.local.get(['pendingSessions', 'failedSyncs', 'archive']);
+    const sources = [
+      [stored.pendingSessions, SYNC_STATE.PENDING],
+      [stored.failedSyncs, SYNC_STATE.FAILED],
+      [stored.archive, SYNC_STATE.ARCHIVED]
+    ];
+
+    if (sources.every(([sessions]) => sessions === undefined)) return;
+
+    let migrated = 0;
+    for (const [sessions, state] of sources) {
+      const withIds = (sessions || []).map(s => (s.id ? s : { ...s, id: Utils.generateUUID() }));
+      await this.setState(withIds, state);
+      migrated += withIds.length;
+    }
+
+    await browser.storage.local.remove(['pendingSessions', 'failedSyncs', 'archive']);
+    console.log('[Storage] Migrated', migrated, 'sessions from storage.local to IndexedDB');
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStore;
+}
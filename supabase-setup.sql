@@ -11,6 +11,11 @@
 --    - anon/public key
 -- 5. Paste these into the extension's options page
 --
+-- UPGRADING:
+-- If you set up the backend with an earlier version of this script, run only
+-- the "Migrations" section below. It adds the columns newer versions of the
+-- extension send; until then, syncs fail and sessions wait to be retried.
+--
 -- TO REQUEST ACCESS:
 -- Email dhondpratyay@gmail.com with your desired username to be added.
 --
@@ -51,6 +56,9 @@ CREATE POLICY "Allow username validation" ON users
 CREATE TABLE IF NOT EXISTS sessions (
   id BIGSERIAL PRIMARY KEY,
   
+  -- Client-generated session ID (makes re-syncing a batch idempotent)
+  session_id UUID,
+  
   -- Device identification
   device_id UUID NOT NULL,
   user_id TEXT NOT NULL,
@@ -58,6 +66,7 @@ CREATE TABLE IF NOT EXISTS sessions (
   -- Session data
   url TEXT NOT NULL,
   domain TEXT NOT NULL,
+  category TEXT,
   title TEXT,
   
   -- Timestamps (stored as Unix timestamps in seconds)
@@ -71,6 +80,13 @@ CREATE TABLE IF NOT EXISTS sessions (
   -- Private browsing flag
   incognito BOOLEAN DEFAULT FALSE,
   
+  -- 'interactive', 'media' for playback counted while the user was idle,
+  -- or 'listening' for audio in a background tab
+  activity_type TEXT DEFAULT 'interactive',
+  
+  -- Browser window ID (sessions in different windows can overlap)
+  window_id INTEGER,
+  
   -- Device metadata (stored as JSONB for flexibility)
   device_profile JSONB DEFAULT '{}',
   
@@ -81,10 +97,40 @@ CREATE TABLE IF NOT EXISTS sessions (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================================================
+-- Migrations
+-- ============================================================================
+-- Upgrades a sessions table created by an earlier version of this script.
+-- Safe to run more than once; on a new install these do nothing.
+
+-- Session ID (added with idempotent syncing).
+-- Sessions synced before this have no session_id and are left as they are.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS session_id UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_session_id ON sessions(session_id);
+
+-- Site category (added with categories).
+-- Sessions synced before this have no category.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS category TEXT;
+
+-- Activity type (added with media tracking).
+-- Sessions synced before this count as interactive.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS activity_type TEXT DEFAULT 'interactive';
+
+-- Window ID (added with multi-window tracking).
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS window_id INTEGER;
+
+-- Tell PostgREST about the new columns right away
+NOTIFY pgrst, 'reload schema';
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
 -- Create indexes for efficient querying
 CREATE INDEX IF NOT EXISTS idx_sessions_device_id ON sessions(device_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_domain ON sessions(domain);
+CREATE INDEX IF NOT EXISTS idx_sessions_category ON sessions(category);
 CREATE INDEX IF NOT EXISTS idx_sessions_start_timestamp ON sessions(start_timestamp);
 CREATE INDEX IF NOT EXISTS idx_sessions_synced_at ON sessions(synced_at);
 
@@ -160,6 +206,19 @@ FROM sessions
 GROUP BY user_id, domain
 ORDER BY total_seconds DESC;
 
+-- Category totals view
+CREATE OR REPLACE VIEW category_totals AS
+SELECT 
+  user_id,
+  COALESCE(category, 'Uncategorized') as category,
+  COUNT(*) as total_sessions,
+  SUM(duration_seconds) as total_seconds,
+  ROUND(SUM(duration_seconds) / 3600.0, 2) as total_hours,
+  COUNT(DISTINCT domain) as domain_count
+FROM sessions
+GROUP BY user_id, COALESCE(category, 'Uncategorized')
+ORDER BY total_seconds DESC;
+
 -- Device summary view
 CREATE OR REPLACE VIEW device_summary AS
 SELECT 
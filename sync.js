@@ -1,9 +1,47 @@
 /**
  * Sync Manager for Internet Usage Tracker
- * Handles syncing data to Supabase and local archive management
+ * Handles syncing data to the configured backend and local archive management
  */
 
+// Failed sync queue retry settings
+const RETRY_ALARM_NAME = 'sync-retry';
+const RETRY_BASE_DELAY_SECONDS = 60;
+const RETRY_MAX_DELAY_SECONDS = 6 * 60 * 60; // 6 hours
+
+// Upload chunk size used when config.syncChunkSize is not set
+const DEFAULT_CHUNK_SIZE = 200;
+
+// What happens to sessions recorded in private windows
+const INCOGNITO_POLICY = {
+  IGNORE: 'ignore', // Not tracked at all
+  LOCAL: 'local', // Tracked on this device, never uploaded or exported (only backed up)
+  SYNC: 'sync' // Tracked and synced like any other session
+};
+
+// Default shape of the persisted sync/retry state
+const DEFAULT_SYNC_STATE = {
+  attempts: 0,
+  nextRetryAt: null,
+  lastError: null,
+  lastErrorAt: null,
+  permanent: false,
+  lastSyncAttempt: null,
+  lastSyncSuccess: null,
+  // Last error that moved sessions to SYNC_STATE.REJECTED
+  rejectedError: null,
+  rejectedAt: null
+};
+
 const SyncManager = {
+  /**
+   * Get the backend adapter selected in config
+   * @param {object} config - Extension configuration
+   * @returns {object} Backend adapter (see backends/registry.js)
+   */
+  getBackend(config) {
+    return SyncBackends.get(config);
+  },
+
   /**
    * Validate if user is allowed to use the extension
    * @param {string} userId - User ID to validate
@@ -11,49 +49,14 @@ const SyncManager = {
    * @returns {object} Validation result
    */
   async validateUser(userId, config) {
-    if (!config.apiEndpoint || !config.apiKey) {
-      return { valid: false, error: 'API not configured' };
-    }
-    
-    if (!userId) {
-      return { valid: false, error: 'User ID not set' };
-    }
-    
-    try {
-      const url = `${config.apiEndpoint}/rest/v1/rpc/is_valid_user`;
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'apikey': config.apiKey,
-          'Authorization': `Bearer ${config.apiKey}`
-        },
-        body: JSON.stringify({ check_username: userId })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Validation failed: ${response.status}`);
-      }
-      
-      const isValid = await response.json();
-      
-      if (isValid) {
-        return { valid: true };
-      } else {
-        return { 
-          valid: false, 
-          error: 'User not authorized. Email dhondpratyay@gmail.com to request access.' 
-        };
-      }
-    } catch (error) {
-      console.error('[Sync] User validation error:', error);
-      return { valid: false, error: error.message };
-    }
+    return this.getBackend(config).validateUser(userId, config);
   },
 
   /**
    * Perform sync to remote API
+   * Sessions handed to this method are always taken care of: they are either
+   * synced, archived locally, queued in failedSyncs for retry, or set aside
+   * as rejected when the backend refuses them for good.
    * @param {Array} sessions - Sessions to sync
    * @param {string} deviceId - Device UUID
    * @param {object} config - Extension configuration
@@ -62,69 +65,306 @@ const SyncManager = {
   async sync(sessions, deviceId, config) {
     console.log('[Sync] Starting sync with', sessions.length, 'sessions');
     
-    // Check if we have sessions to sync
-    if (sessions.length === 0) {
-      console.log('[Sync] No sessions to sync');
-      return { success: true, synced: 0 };
+    await this.updateSyncState({ lastSyncAttempt: Math.floor(Date.now() / 1000) });
+    
+    // Check if a remote backend is configured
+    const backend = this.getBackend(config);
+    
+    // Locked credentials and sealed sessions can't be uploaded; they stay as they are
+    if (backend.remote && Encryption.isLocked()) {
+      console.log('[Sync] Encryption is locked, skipping sync');
+      return { success: false, error: 'Encryption is locked', queued: 0 };
     }
     
-    // Check if API is configured
-    if (!config.apiEndpoint || !config.apiKey) {
-      console.log('[Sync] API not configured, archiving locally only');
-      await this.archiveLocally(sessions);
-      return { success: true, synced: 0, archived: sessions.length };
+    if (!backend.remote || !backend.isConfigured(config)) {
+      console.log('[Sync] No upload backend configured, archiving locally only');
+      const queued = await this.getFailedSyncs();
+      await this.archiveLocally([...queued, ...sessions]);
+      await this.clearRetryState();
+      return { success: true, synced: 0, archived: queued.length + sessions.length };
+    }
+    
+    // Check if we have anything to sync
+    const queuedCount = await SessionStore.countByState(SYNC_STATE.FAILED);
+    if (sessions.length === 0 && queuedCount === 0) {
+      console.log('[Sync] No sessions to sync');
+      await this.clearRetryState();
+      return { success: true, synced: 0 };
     }
     
     // Validate user before syncing
     const validation = await this.validateUser(config.userId, config);
     if (!validation.valid) {
       console.log('[Sync] User validation failed:', validation.error);
-      await this.archiveLocally(sessions);
-      return { success: false, error: validation.error, archived: sessions.length };
+      await this.queueFailedSync(sessions);
+      await this.recordFailure(new Error(validation.error), validation.permanent);
+      return { success: false, error: validation.error, queued: sessions.length };
     }
     
     // Check network connectivity
     if (!navigator.onLine) {
       console.log('[Sync] Offline, queueing for later');
       await this.queueFailedSync(sessions);
+      await this.recordFailure(new Error('offline'), false);
       return { success: false, error: 'offline', queued: sessions.length };
     }
     
-    // Build payload
-    const payload = this.buildPayload(sessions, deviceId, config);
+    // Replay previously failed sessions first so they reach the server in order
+    const drained = await this.drainFailedSyncs(deviceId, config);
+    if (!drained.success) {
+      await this.queueFailedSync(sessions);
+      return {
+        success: false,
+        error: drained.error,
+        synced: drained.synced,
+        queued: sessions.length,
+        rejected: drained.rejected,
+        chunks: this.numberChunks(drained.chunks)
+      };
+    }
+    
+    // Send new sessions; only the chunks that fail go to the retry queue
+    const sent = await this.sendInChunks(sessions, deviceId, config);
+    const synced = drained.synced + sent.synced;
+    const rejected = drained.rejected + sent.rejected;
+    const chunks = this.numberChunks([...drained.chunks, ...sent.chunks]);
     
-    try {
-      // Send to API
-      const response = await this.sendToApi(payload, config);
+    if (sent.lastError) {
+      console.error('[Sync] Error:', sent.lastError);
       
-      if (response.success) {
-        console.log('[Sync] Successfully synced', sessions.length, 'sessions');
-        
-        // Archive locally after successful sync
-        await this.archiveLocally(sessions);
-        
-        // Clear failed sync queue
-        await browser.storage.local.remove('failedSyncs');
+      // Queue for retry
+      await this.queueFailedSync(sent.failed);
+      await this.recordFailure(sent.lastError);
+      
+      return {
+        success: false,
+        error: sent.lastError.message,
+        synced,
+        queued: sent.failed.length,
+        rejected,
+        chunks
+      };
+    }
+    
+    // Nothing is left to retry, so the backoff is reset even if some chunks were rejected
+    await this.clearRetryState();
+    
+    if (rejected > 0) {
+      const { rejectedError } = await this.getSyncState();
+      return { success: false, error: rejectedError, synced, queued: 0, rejected, chunks };
+    }
+    
+    console.log('[Sync] Successfully synced', synced, 'sessions');
+    
+    await this.updateSyncState({ lastSyncSuccess: Math.floor(Date.now() / 1000) });
+    
+    // Prune old archive entries
+    await this.pruneArchive(config.archiveRetentionDays);
+    
+    return { success: true, synced, chunks };
+  },
+  
+  /**
+   * Replay the failed sync queue (used by the retry alarm and the online event)
+   * @param {string} deviceId - Device UUID
+   * @param {object} config - Extension configuration
+   * @returns {object} Sync result
+   */
+  async retryFailedSyncs(deviceId, config) {
+    console.log('[Sync] Retrying failed syncs');
+    return this.sync([], deviceId, config);
+  },
+  
+  /**
+   * Send queued sessions oldest first
+   * Each chunk leaves the queue as soon as it is archived or rejected.
+   * @returns {object} { success, synced, rejected, chunks, error }
+   */
+  async drainFailedSyncs(deviceId, config) {
+    const queue = await this.getFailedSyncs();
+    const result = await this.sendInChunks(queue, deviceId, config);
+    
+    if (result.synced > 0) {
+      console.log('[Sync] Replayed', result.synced, 'queued sessions');
+    }
+    
+    if (result.lastError) {
+      await this.recordFailure(result.lastError);
+    }
+    
+    return {
+      success: !result.lastError,
+      synced: result.synced,
+      rejected: result.rejected,
+      chunks: result.chunks,
+      error: result.lastError ? result.lastError.message : null
+    };
+  },
+  
+  /**
+   * Send sessions in chunks of config.syncChunkSize
+   * Every chunk that succeeds is archived right away, so a partial failure
+   * only leaves the failed chunks behind. A transient error stops the run,
+   * since the remaining chunks would most likely fail the same way, and so
+   * does an auth error, which only a settings change fixes. A chunk the
+   * backend refuses for its content (400, 409, 413, 422) is set aside as
+   * rejected instead, as retrying it would only fail again.
+   * @param {Array} sessions - Sessions to send
+   * @param {string} deviceId - Device UUID
+   * @param {object} config - Extension configuration
+   * @returns {object} { chunks, synced, failed, rejected, lastError } (lastError stopped the run, if any)
+   */
+  async sendInChunks(sessions, deviceId, config) {
+    const chunkSize = Math.max(1, parseInt(config.syncChunkSize) || DEFAULT_CHUNK_SIZE);
+    const chunks = [];
+    const failed = [];
+    let synced = 0;
+    let rejected = 0;
+    let lastError = null;
+    let stopped = false;
+    
+    for (let i = 0; i < sessions.length; i += chunkSize) {
+      const chunk = sessions.slice(i, i + chunkSize);
+      const result = { count: chunk.length, success: false, error: null };
+      chunks.push(result);
+      
+      if (stopped) {
+        result.error = 'Skipped after earlier failure';
+        failed.push(...chunk);
+        continue;
+      }
+      
+      try {
+        // Sessions left out of the payload (see isShareable) are only archived
+        const payload = this.buildPayload(await Encryption.prepareForUpload(chunk), deviceId, config);
+        if (payload.sessions.length > 0) {
+          await this.sendToApi(payload, config);
+        }
+        await this.archiveLocally(chunk);
         
-        // Prune old archive entries
-        await this.pruneArchive(config.archiveRetentionDays);
+        result.success = true;
+        synced += payload.sessions.length;
+      } catch (error) {
+        console.error(`[Sync] Chunk of ${chunk.length} sessions failed:`, error);
+        result.error = error.message;
+        result.permanent = Utils.isPermanentError(error);
         
-        return { success: true, synced: sessions.length };
-      } else {
-        throw new Error(response.error || 'Unknown error');
+        if (Utils.isPayloadError(error)) {
+          await this.rejectSessions(chunk, error);
+          rejected += chunk.length;
+        } else {
+          failed.push(...chunk);
+          lastError = error;
+          stopped = true;
+        }
       }
-    } catch (error) {
-      console.error('[Sync] Error:', error);
-      
-      // Queue for retry
-      await this.queueFailedSync(sessions);
-      
-      return { success: false, error: error.message, queued: sessions.length };
     }
+    
+    return { chunks, synced, failed, rejected, lastError };
+  },
+  
+  /**
+   * Number chunk results in the order they were sent
+   */
+  numberChunks(chunks) {
+    return chunks.map((chunk, index) => ({ index, ...chunk }));
+  },
+  
+  /**
+   * Exponential backoff with jitter for the given attempt number
+   * @param {number} attempt - 1-based attempt number
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelay(attempt) {
+    const delay = Math.min(
+      RETRY_BASE_DELAY_SECONDS * Math.pow(2, attempt - 1),
+      RETRY_MAX_DELAY_SECONDS
+    );
+    // Half fixed, half random so devices don't retry in lockstep
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  },
+  
+  /**
+   * Record a failed attempt and schedule the next retry
+   * Permanent errors are recorded but not retried automatically.
+   */
+  async recordFailure(error, permanent = Utils.isPermanentError(error)) {
+    const state = await this.getSyncState();
+    const now = Math.floor(Date.now() / 1000);
+    
+    state.attempts += 1;
+    state.lastError = error.message;
+    state.lastErrorAt = now;
+    state.permanent = permanent;
+    
+    if (permanent) {
+      state.nextRetryAt = null;
+      await browser.alarms.clear(RETRY_ALARM_NAME);
+      console.log('[Sync] Permanent error, not retrying automatically:', error.message);
+    } else {
+      state.nextRetryAt = now + this.getRetryDelay(state.attempts);
+      browser.alarms.create(RETRY_ALARM_NAME, { when: state.nextRetryAt * 1000 });
+      console.log('[Sync] Retry', state.attempts, 'scheduled for', new Date(state.nextRetryAt * 1000).toISOString());
+    }
+    
+    await browser.storage.local.set({ syncState: state });
+  },
+  
+  /**
+   * Reset retry bookkeeping after a successful sync
+   */
+  async clearRetryState() {
+    await browser.alarms.clear(RETRY_ALARM_NAME);
+    await this.updateSyncState({
+      attempts: 0,
+      nextRetryAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      permanent: false
+    });
+  },
+  
+  /**
+   * Re-create the retry alarm after a browser restart
+   */
+  async restoreRetryAlarm() {
+    const state = await this.getSyncState();
+    if (!state.nextRetryAt || state.permanent) return;
+    
+    const when = Math.max(state.nextRetryAt * 1000, Date.now() + 5000);
+    browser.alarms.create(RETRY_ALARM_NAME, { when });
+  },
+  
+  /**
+   * Load persisted sync/retry state
+   */
+  async getSyncState() {
+    const stored = await browser.storage.local.get('syncState');
+    return { ...DEFAULT_SYNC_STATE, ...stored.syncState };
+  },
+  
+  /**
+   * Merge changes into persisted sync/retry state
+   */
+  async updateSyncState(changes) {
+    const state = await this.getSyncState();
+    await browser.storage.local.set({ syncState: { ...state, ...changes } });
+  },
+  
+  /**
+   * Whether a session may leave this device (sync or export)
+   * Private-window sessions only may under the 'sync' incognito policy.
+   * @param {object} session - Stored session
+   * @param {object} config - Extension configuration
+   * @returns {boolean} Whether the session can be shared
+   */
+  isShareable(session, config) {
+    return !session.incognito || (config.incognitoPolicy || INCOGNITO_POLICY.SYNC) === INCOGNITO_POLICY.SYNC;
   },
   
   /**
    * Build the JSON payload for API
+   * Sessions that must stay on this device are left out.
    */
   buildPayload(sessions, deviceId, config) {
     return {
@@ -136,129 +376,167 @@ const SyncManager = {
         os: config.deviceProfile.os
       },
       user_id: config.userId,
-      sessions: sessions.map(session => ({
+      sessions: sessions.filter(session => this.isShareable(session, config)).map(session => ({
+        session_id: session.id,
         url: session.url,
         domain: session.domain,
+        category: session.category || null,
         title: session.title,
         start_timestamp: session.startTimestamp,
         end_timestamp: session.endTimestamp,
         duration_seconds: session.durationSeconds,
         tab_id: session.tabId,
-        incognito: session.incognito || false
+        incognito: session.incognito || false,
+        activity_type: session.activityType || ACTIVITY_TYPE.INTERACTIVE,
+        window_id: session.windowId ?? null
       })),
       sync_timestamp: Math.floor(Date.now() / 1000)
     };
   },
   
   /**
-   * Send payload to Supabase API
+   * Send payload to the configured backend
+   * Throws on failure; the error carries the HTTP status when there is one.
    */
   async sendToApi(payload, config) {
-    const url = `${config.apiEndpoint}/rest/v1/sessions`;
-    
-    // Transform payload for Supabase - insert each session as a row
-    const rows = payload.sessions.map(session => ({
-      device_id: payload.device_id,
-      user_id: payload.user_id,
-      url: session.url,
-      domain: session.domain,
-      title: session.title,
-      start_timestamp: session.start_timestamp,
-      end_timestamp: session.end_timestamp,
-      duration_seconds: session.duration_seconds,
-      tab_id: session.tab_id,
-      incognito: session.incognito || false,
-      device_profile: payload.device_profile,
-      synced_at: new Date().toISOString()
-    }));
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': config.apiKey,
-        'Authorization': `Bearer ${config.apiKey}`,
-        'Prefer': 'return=minimal'
-      },
-      body: JSON.stringify(rows)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error ${response.status}: ${errorText}`);
-    }
-    
+    await this.getBackend(config).send(payload, config);
     return { success: true };
   },
   
   /**
    * Archive sessions locally
+   * Sessions are keyed by ID, so archiving one twice keeps a single copy.
    */
   async archiveLocally(sessions) {
-    const stored = await browser.storage.local.get('archive');
-    const archive = stored.archive || [];
+    if (sessions.length === 0) return;
     
-    // Add sync timestamp to each session
-    const archivedSessions = sessions.map(session => ({
-      ...session,
+    await SessionStore.setState(sessions, SYNC_STATE.ARCHIVED, {
       archivedAt: Math.floor(Date.now() / 1000)
-    }));
-    
-    // Append to archive
-    archive.push(...archivedSessions);
-    
-    await browser.storage.local.set({ archive });
+    });
     console.log('[Sync] Archived', sessions.length, 'sessions locally');
   },
   
+  /**
+   * Load the failed sync queue, oldest first
+   */
+  async getFailedSyncs() {
+    return SessionStore.getByState(SYNC_STATE.FAILED);
+  },
+  
   /**
    * Queue failed sync for retry
    */
   async queueFailedSync(sessions) {
-    const stored = await browser.storage.local.get('failedSyncs');
-    const failedSyncs = stored.failedSyncs || [];
-    
-    // Add to failed queue (avoid duplicates by checking timestamps)
-    const existingTimestamps = new Set(failedSyncs.map(s => s.startTimestamp));
-    const newSessions = sessions.filter(s => !existingTimestamps.has(s.startTimestamp));
+    if (sessions.length === 0) return;
     
-    failedSyncs.push(...newSessions);
-    
-    await browser.storage.local.set({ failedSyncs });
-    console.log('[Sync] Queued', newSessions.length, 'sessions for retry');
+    await SessionStore.setState(sessions, SYNC_STATE.FAILED);
+    console.log('[Sync] Queued', sessions.length, 'sessions for retry');
+  },
+  
+  /**
+   * Set aside sessions the backend refused, so they stop being retried
+   * @param {Array} sessions - Rejected sessions
+   * @param {Error} error - Error the backend answered with
+   */
+  async rejectSessions(sessions, error) {
+    await SessionStore.setState(sessions, SYNC_STATE.REJECTED);
+    await this.updateSyncState({
+      rejectedError: error.message,
+      rejectedAt: Math.floor(Date.now() / 1000)
+    });
+    console.log('[Sync] Backend rejected', sessions.length, 'sessions, not retrying:', error.message);
+  },
+  
+  /**
+   * Move rejected sessions back to the retry queue (once the cause is fixed)
+   * @returns {number} Number of sessions requeued
+   */
+  async requeueRejected() {
+    const sessions = await SessionStore.getByState(SYNC_STATE.REJECTED);
+    await this.queueFailedSync(sessions);
+    await this.updateSyncState({ rejectedError: null, rejectedAt: null });
+    return sessions.length;
+  },
+  
+  /**
+   * Give up uploading rejected sessions; they stay in the local archive
+   * @returns {number} Number of sessions discarded
+   */
+  async discardRejected() {
+    const sessions = await SessionStore.getByState(SYNC_STATE.REJECTED);
+    await this.archiveLocally(sessions);
+    await this.updateSyncState({ rejectedError: null, rejectedAt: null });
+    return sessions.length;
   },
   
   /**
    * Prune archive entries older than retention period
    */
   async pruneArchive(retentionDays = 30) {
-    const stored = await browser.storage.local.get('archive');
-    const archive = stored.archive || [];
-    
     const cutoffTimestamp = Math.floor(Date.now() / 1000) - (retentionDays * 24 * 60 * 60);
-    
-    const prunedArchive = archive.filter(session => 
-      session.archivedAt > cutoffTimestamp || session.startTimestamp > cutoffTimestamp
-    );
-    
-    const removed = archive.length - prunedArchive.length;
+    const removed = await SessionStore.deleteArchivedBefore(cutoffTimestamp);
     
     if (removed > 0) {
-      await browser.storage.local.set({ archive: prunedArchive });
       console.log('[Sync] Pruned', removed, 'old archive entries');
     }
   },
   
+  /**
+   * Read all-time per-domain totals (all devices) from the backend's domain_totals
+   * Only synced sessions are included. The result is cached in storage.local.
+   * @param {object} config - Extension configuration
+   * @returns {object|null} { totalSeconds, domains, fetchedAt }, or null without a remote backend
+   */
+  async fetchServerTotals(config) {
+    const backend = this.getBackend(config);
+    if (!backend.remote || !backend.isConfigured(config)) return null;
+    
+    const rows = await backend.fetch('domain_totals', { user_id: config.userId }, config);
+    const domains = rows.map(row => ({
+      domain: row.domain,
+      totalSeconds: Number(row.total_seconds) || 0,
+      sessions: Number(row.total_sessions) || 0
+    }));
+    
+    const serverTotals = {
+      totalSeconds: domains.reduce((sum, d) => sum + d.totalSeconds, 0),
+      domains,
+      fetchedAt: Math.floor(Date.now() / 1000)
+    };
+    
+    await browser.storage.local.set({ serverTotals });
+    console.log('[Sync] Fetched server totals for', domains.length, 'domains');
+    return serverTotals;
+  },
+  
+  /**
+   * Get the last server totals read by fetchServerTotals
+   * @returns {object|null} Cached server totals
+   */
+  async getServerTotals() {
+    const stored = await browser.storage.local.get('serverTotals');
+    return stored.serverTotals || null;
+  },
+  
   /**
    * Get sync status for display
    */
   async getStatus() {
-    const stored = await browser.storage.local.get(['failedSyncs', 'archive']);
+    const state = await this.getSyncState();
     
     return {
-      failedCount: (stored.failedSyncs || []).length,
-      archivedCount: (stored.archive || []).length,
-      lastSyncAttempt: null // Could track this if needed
+      failedCount: await SessionStore.countByState(SYNC_STATE.FAILED),
+      archivedCount: await SessionStore.countByState(SYNC_STATE.ARCHIVED),
+      rejectedCount: await SessionStore.countByState(SYNC_STATE.REJECTED),
+      rejectedError: state.rejectedError,
+      rejectedAt: state.rejectedAt,
+      lastSyncAttempt: state.lastSyncAttempt,
+      lastSyncSuccess: state.lastSyncSuccess,
+      retryAttempts: state.attempts,
+      nextRetryAt: state.nextRetryAt,
+      lastError: state.lastError,
+      lastErrorAt: state.lastErrorAt,
+      lastErrorPermanent: state.permanent
     };
   }
 };
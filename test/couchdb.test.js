@@ -0,0 +1,121 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('./mock-server');
+
+global.Utils = require('../utils');
+const CouchDBBackend = require('../backends/couchdb');
+
+const payload = {
+  device_id: 'device-1',
+  user_id: 'user@example.com',
+  device_profile: { type: 'desktop' },
+  sessions: [
+    { session_id: 'a1', domain: 'example.com', duration_seconds: 60 },
+    { session_id: 'b2', domain: 'example.org', duration_seconds: 30 }
+  ]
+};
+
+describe('CouchDBBackend', () => {
+  let server;
+  let config;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach((t) => {
+    server.reset();
+    config = { couchdb: { url: `${server.url}/tracker`, username: 'admin', password: 'p:ss' } };
+    t.mock.method(console, 'error', () => {});
+  });
+
+  describe('validateUser', () => {
+    it('reads the database with basic auth', async () => {
+      server.setHandler(() => ({ body: { db_name: 'tracker' } }));
+
+      assert.deepStrictEqual(await CouchDBBackend.validateUser('user@example.com', config), { valid: true });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'GET');
+      assert.strictEqual(request.path, '/tracker');
+      assert.strictEqual(request.headers.authorization, `Basic ${Buffer.from('admin:p:ss').toString('base64')}`);
+    });
+
+    it('sends no credentials without a username', async () => {
+      config.couchdb.username = '';
+      await CouchDBBackend.validateUser('user@example.com', config);
+      assert.strictEqual(server.requests[0].headers.authorization, undefined);
+    });
+
+    it('maps 4xx to permanent and 5xx, 408 and 429 to transient', async () => {
+      for (const [status, permanent] of [[401, true], [404, true], [408, false], [429, false], [500, false]]) {
+        server.setHandler(() => ({ status, body: { error: 'unauthorized' } }));
+
+        const result = await CouchDBBackend.validateUser('user@example.com', config);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.permanent, permanent, `status ${status}`);
+      }
+    });
+  });
+
+  describe('send', () => {
+    it('writes one document per session keyed by session ID', async () => {
+      server.setHandler(() => ({ status: 201, body: [{ id: 'a1', ok: true }, { id: 'b2', ok: true }] }));
+
+      await CouchDBBackend.send(payload, config);
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.path, '/tracker/_bulk_docs');
+      assert.match(request.headers.authorization, /^Basic /);
+      assert.deepStrictEqual(request.body.docs.map(doc => doc._id), ['a1', 'b2']);
+      assert.strictEqual(request.body.docs[0].type, 'session');
+      assert.strictEqual(request.body.docs[0].user_id, 'user@example.com');
+      assert.deepStrictEqual(request.body.docs[1].device_profile, { type: 'desktop' });
+    });
+
+    it('ignores conflicts from documents sent before', async () => {
+      server.setHandler(() => ({ status: 201, body: [{ id: 'a1', error: 'conflict' }, { id: 'b2', ok: true }] }));
+      await CouchDBBackend.send(payload, config);
+    });
+
+    it('fails permanently when documents are rejected', async () => {
+      server.setHandler(() => ({ status: 201, body: [{ id: 'a1', error: 'forbidden', reason: 'read only' }] }));
+      await assert.rejects(CouchDBBackend.send(payload, config), (error) => {
+        assert.match(error.message, /rejected 1 documents: read only/);
+        assert.strictEqual(Utils.isPermanentError(error), true);
+        return true;
+      });
+    });
+
+    it('throws errors carrying the status', async () => {
+      server.setHandler(() => ({ status: 401, body: { error: 'unauthorized' } }));
+      await assert.rejects(CouchDBBackend.send(payload, config), (error) => Utils.isPermanentError(error));
+
+      server.setHandler(() => ({ status: 500, body: { error: 'internal' } }));
+      await assert.rejects(CouchDBBackend.send(payload, config), (error) => !Utils.isPermanentError(error));
+    });
+  });
+
+  describe('fetch', () => {
+    it('returns a view\'s values with JSON-encoded parameters', async () => {
+      server.setHandler(() => ({ body: { rows: [{ key: 'example.com', value: { domain: 'example.com', total_seconds: 90 } }] } }));
+
+      assert.deepStrictEqual(
+        await CouchDBBackend.fetch('domain_totals', { group: true }, config),
+        [{ domain: 'example.com', total_seconds: 90 }]
+      );
+
+      const [request] = server.requests;
+      assert.strictEqual(request.path, '/tracker/_design/tracker/_view/domain_totals?group=true');
+      assert.match(request.headers.authorization, /^Basic /);
+    });
+
+    it('throws when the view is missing', async () => {
+      server.setHandler(() => ({ status: 404, body: { error: 'not_found' } }));
+      await assert.rejects(CouchDBBackend.fetch('domain_totals', {}, config), { status: 404 });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'public-suffix-list.js', 'domains.js', 'media.js', 'categories.js', 'paths.js', 'productivity.js');
+
+describe('Alias groups', () => {
+  before(() => Domains.configure([{ name: 'YouTube', domains: ['youtube.com', 'youtu.be'] }]));
+  after(() => Domains.configure([]));
+
+  it('count as one site wherever a domain pattern is matched', () => {
+    assert.strictEqual(Domains.matches('youtube.com', 'youtu.be'), true);
+    assert.strictEqual(Domains.matches('YouTube', 'm.youtube.com'), true);
+    assert.strictEqual(Domains.matches('youtube.com', 'vimeo.com'), false);
+  });
+
+  it('apply to wildcard category rules', () => {
+    assert.strictEqual(Categories.matchesRule({ type: 'wildcard', pattern: 'youtube.com' }, 'https://youtu.be/x', 'youtu.be'), true);
+  });
+
+  it('apply to page tracking rules', () => {
+    const rules = [{ domain: 'youtube.com', depth: 1 }];
+    assert.strictEqual(Paths.isTracked('youtu.be', rules), true);
+    assert.strictEqual(Paths.getPathKey('https://youtu.be/abc/def', 'youtu.be', rules), '/abc');
+  });
+
+  it('apply to productivity labels', () => {
+    const settings = { domainLabels: [{ pattern: 'YouTube', label: PRODUCTIVITY_LABEL.DISTRACTING }] };
+    assert.strictEqual(Productivity.getLabel('youtu.be', 'Video', settings), PRODUCTIVITY_LABEL.DISTRACTING);
+  });
+});
+
+describe('Domains.getGroupKey', () => {
+  it('keeps hostnames apart unless grouping by site', () => {
+    assert.strictEqual(Domains.getGroupKey('mail.google.com', DOMAIN_GROUPING.HOSTNAME), 'mail.google.com');
+    assert.strictEqual(Domains.getGroupKey('mail.google.com', DOMAIN_GROUPING.SITE), 'google.com');
+    assert.strictEqual(Domains.getGroupKey('news.bbc.co.uk', DOMAIN_GROUPING.SITE), 'bbc.co.uk');
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('encryption.js');
+
+const session = {
+  id: 'session-1',
+  url: 'https://docs.example.com/guide/setup?step=2',
+  domain: 'docs.example.com',
+  title: 'Setup guide',
+  path: '/guide',
+  startTimestamp: 1700000000,
+  durationSeconds: 60
+};
+
+describe('Encryption', () => {
+  let stored;
+
+  // Key derivation takes a while by design, so the suite enables encryption once
+  before(async () => {
+    stored = {};
+    global.browser = {
+      storage: {
+        local: {
+          get: async key => ({ [key]: stored[key] }),
+          set: async (items) => { Object.assign(stored, items); },
+          remove: async (key) => { delete stored[key]; }
+        }
+      }
+    };
+    await Encryption.enable('correct horse', { atRest: true, e2e: true }, 'user@example.com');
+  });
+
+  after(() => Encryption.disable());
+
+  it('keeps the private key wrapped under the passphrase', async () => {
+    assert.strictEqual(stored.encryption.iterations, ENCRYPTION_KDF_ITERATIONS);
+    assert.strictEqual(typeof stored.encryption.wrappedKey, 'string');
+
+    Encryption.lock();
+    await Encryption.load();
+    assert.strictEqual(Encryption.isLocked(), true);
+    assert.strictEqual(await Encryption.unlock('wrong horse', 'user@example.com'), false);
+    assert.strictEqual(Encryption.isLocked(), true);
+    assert.strictEqual(await Encryption.unlock('correct horse', 'user@example.com'), true);
+    assert.strictEqual(Encryption.isLocked(), false);
+  });
+
+  it('seals while locked and opens once unlocked', async () => {
+    const privateKey = Encryption.privateKey;
+    Encryption.privateKey = null;
+    const sealed = await Encryption.seal('secret');
+    await assert.rejects(Encryption.open(sealed));
+    Encryption.privateKey = privateKey;
+
+    assert.notStrictEqual(await Encryption.seal('secret'), sealed);
+    assert.strictEqual(await Encryption.open(sealed), 'secret');
+  });
+
+  it('stores only the origin and domain of a sealed session, and opens it in full', async () => {
+    const sealed = await Encryption.sealSession(session);
+
+    assert.strictEqual(sealed.url, 'https://docs.example.com/');
+    assert.strictEqual(sealed.title, 'docs.example.com');
+    assert.strictEqual(sealed.path, await Encryption.hashPath('/guide'));
+    assert.strictEqual(Encryption.isHashedPath(sealed.path), true);
+    assert.strictEqual(await Encryption.sealSession(sealed), sealed);
+
+    assert.deepStrictEqual(await Encryption.openSession(sealed), session);
+  });
+
+  it('leaves path keys to hash after the next unlock when sealing while locked', async () => {
+    const pathKey = Encryption.pathKey;
+    Encryption.pathKey = null;
+    const sealed = await Encryption.sealSession(session);
+    Encryption.pathKey = pathKey;
+
+    assert.strictEqual(sealed.path, null);
+    assert.strictEqual(sealed.pathPending, true);
+    assert.strictEqual(await Encryption.open(sealed.sealedPath), '/guide');
+  });
+
+  it('encrypts URLs and titles end to end so other devices can read them', async () => {
+    const [uploaded] = await Encryption.prepareForUpload([await Encryption.sealSession(session)]);
+
+    assert.strictEqual(uploaded.domain, 'docs.example.com');
+    assert.ok(uploaded.url.startsWith(E2E_PREFIX));
+    assert.ok(uploaded.title.startsWith(E2E_PREFIX));
+
+    // Another device with the same passphrase and user ID derives the same key
+    const key = await Encryption.deriveSyncKey('correct horse', 'user@example.com');
+    const [iv, ciphertext] = uploaded.url.slice(E2E_PREFIX.length).split('.').map(part => Encryption.fromBase64(part));
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    assert.strictEqual(new TextDecoder().decode(plaintext), session.url);
+  });
+});
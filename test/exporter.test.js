@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'public-suffix-list.js', 'domains.js', 'media.js', 'exporter.js');
+
+const session = (extra = {}) => ({
+  id: 'session-1',
+  url: 'https://docs.example.co.uk/a',
+  domain: 'docs.example.co.uk',
+  title: 'Docs',
+  startTimestamp: 1710495000,
+  endTimestamp: 1710495060,
+  durationSeconds: 60,
+  deviceId: 'device-1',
+  ...extra
+});
+
+const config = { apiKey: 'secret', webhook: { url: 'https://hooks.example.com', headers: 'X-Token: 1' }, couchdb: { password: 'pw' } };
+
+describe('Exporter.csvCell', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    assert.strictEqual(Exporter.csvCell('plain'), 'plain');
+    assert.strictEqual(Exporter.csvCell('a, b'), '"a, b"');
+    assert.strictEqual(Exporter.csvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(Exporter.csvCell('two\nlines'), '"two\nlines"');
+    assert.strictEqual(Exporter.csvCell(null), '');
+  });
+
+  it('keeps spreadsheets from evaluating text that looks like a formula', () => {
+    assert.strictEqual(Exporter.csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.strictEqual(Exporter.csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(Exporter.csvCell(-5), '-5');
+  });
+});
+
+describe('Exporter.serialize', () => {
+  it('writes a header and one CSV row per session', () => {
+    const { content, extension } = Exporter.serialize(EXPORT_FORMAT.CSV, {
+      sessions: [session({ title: 'Docs, "v2"' })],
+      exportedAt: 1710500000
+    });
+    const lines = content.split('\r\n');
+
+    assert.strictEqual(extension, 'csv');
+    assert.strictEqual(lines[0], CSV_COLUMNS.join(','));
+    assert.strictEqual(lines[1].split(',')[5], 'example.co.uk');
+    assert.ok(lines[1].includes(',"Docs, ""v2""",'));
+    assert.strictEqual(lines[2], '');
+  });
+
+  it('escapes and folds iCalendar text', () => {
+    const { content } = Exporter.serialize(EXPORT_FORMAT.ICS, {
+      sessions: [session({ title: `Notes; a, b\\c\n${'x'.repeat(80)}`, category: 'Docs' })],
+      exportedAt: 1710500000
+    });
+    const unfolded = content.replace(/\r\n /g, '');
+
+    assert.ok(content.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+    assert.ok(unfolded.includes('DESCRIPTION:Notes\\; a\\, b\\\\c\\nxxx'));
+    assert.ok(unfolded.includes('DTSTART:20240315T093000Z'));
+    assert.ok(unfolded.includes('UID:session-1@internet-tracker'));
+    assert.ok(unfolded.includes('CATEGORIES:Docs'));
+  });
+
+  it('leaves credentials out of JSON exports unless asked', () => {
+    const data = { sessions: [session()], deviceId: 'device-1', config, exportedAt: 1710500000 };
+
+    const parsed = JSON.parse(Exporter.serialize(EXPORT_FORMAT.JSON, data).content);
+    assert.strictEqual(parsed.config.apiKey, undefined);
+    assert.strictEqual(parsed.config.webhook.headers, '');
+    assert.strictEqual(parsed.config.couchdb.password, '');
+
+    assert.strictEqual(JSON.parse(Exporter.serialize(EXPORT_FORMAT.JSON, data, { includeSecrets: true }).content).config.apiKey, 'secret');
+  });
+
+  it('drops sealed fields, except in backups', () => {
+    const data = { sessions: [session({ sealed: 'v1:abc' })], config, exportedAt: 1710500000 };
+
+    assert.strictEqual(JSON.parse(Exporter.serialize(EXPORT_FORMAT.JSON, data).content).sessions[0].sealed, undefined);
+    assert.strictEqual(JSON.parse(Exporter.serialize(EXPORT_FORMAT.JSON, data, { keepSealed: true }).content).sessions[0].sealed, 'v1:abc');
+  });
+
+  it('leaves device IDs out when asked', () => {
+    const { content } = Exporter.serialize(EXPORT_FORMAT.NDJSON, { sessions: [session({ syncState: 'pending' })], exportedAt: 1710500000 }, { includeDeviceIds: false });
+    const line = JSON.parse(content.trim());
+    assert.strictEqual(line.deviceId, undefined);
+    assert.strictEqual(line.syncState, undefined);
+  });
+});
+
+describe('Exporter.filterSessions', () => {
+  it('keeps sessions on the chosen days and domains', () => {
+    const day = Utils.getDayKey(1710495000);
+    const sessions = [session(), session({ id: 'other', domain: 'news.example.org' })];
+
+    assert.deepStrictEqual(Exporter.filterSessions(sessions, { from: day, to: day, domains: ['example.co.uk'] }).map(s => s.id), ['session-1']);
+    assert.deepStrictEqual(Exporter.filterSessions(sessions, { from: Utils.addDays(day, 1) }), []);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'media.js', 'storage.js', 'encryption.js', 'importer.js');
+
+const exported = (extra = {}) => ({
+  url: 'https://example.com/a',
+  domain: 'example.com',
+  title: 'A',
+  startTimestamp: 1700000000,
+  endTimestamp: 1700000060,
+  durationSeconds: 60,
+  tabId: 3,
+  ...extra
+});
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('Importer.validate', () => {
+  it('refuses files that aren\'t exports', () => {
+    assert.throws(() => Importer.validate(null), /no sessions list/);
+    assert.throws(() => Importer.validate({ sessions: {} }), /no sessions list/);
+    assert.throws(() => Importer.validate({ sessions: [], deviceId: 7 }), /invalid device ID/);
+    assert.doesNotThrow(() => Importer.validate({ sessions: [] }));
+  });
+});
+
+describe('Importer.deriveId', () => {
+  it('gives the same session the same UUID-shaped ID every time', async () => {
+    const id = await Importer.deriveId(exported(), 'device-1');
+    assert.match(id, UUID);
+    assert.strictEqual(await Importer.deriveId(exported({ title: 'Renamed' }), 'device-1'), id);
+  });
+
+  it('tells sessions and devices apart', async () => {
+    const id = await Importer.deriveId(exported(), 'device-1');
+    assert.notStrictEqual(await Importer.deriveId(exported(), 'device-2'), id);
+    assert.notStrictEqual(await Importer.deriveId(exported({ startTimestamp: 1700000001 }), 'device-1'), id);
+    assert.notStrictEqual(await Importer.deriveId(exported({ tabId: 4 }), 'device-1'), id);
+  });
+});
+
+describe('Importer.plan', () => {
+  let stored;
+
+  beforeEach((t) => {
+    stored = [];
+    t.mock.method(SessionStore, 'iterate', async (from, to, callback) => stored.forEach(callback));
+  });
+
+  const options = { provenance: IMPORT_PROVENANCE.KEEP, deviceId: 'device-1', isSkipped: () => false };
+
+  it('skips invalid sessions and duplicates within the file and already stored', async () => {
+    stored = [{ id: 'stored' }];
+    const data = {
+      deviceId: 'device-2',
+      sessions: [
+        exported({ id: 'stored' }),
+        exported({ id: 'new' }),
+        exported({ id: 'new' }),
+        exported({ id: 'bad', durationSeconds: -1 }),
+        exported({ domain: '' })
+      ]
+    };
+
+    const { sessions, summary } = await Importer.plan(data, options);
+
+    assert.deepStrictEqual(sessions.map(session => session.id), ['new']);
+    assert.strictEqual(summary.duplicates, 2);
+    assert.strictEqual(summary.invalid, 2);
+    assert.strictEqual(summary.sameDevice, false);
+  });
+
+  it('finds the duplicates of an export without IDs when it is imported again', async () => {
+    const data = { deviceId: 'device-2', sessions: [exported(), exported({ startTimestamp: 1700000100, endTimestamp: 1700000160 })] };
+
+    const first = await Importer.plan(data, options);
+    assert.strictEqual(first.sessions.length, 2);
+    first.sessions.forEach(session => assert.match(session.id, UUID));
+
+    stored = first.sessions;
+    const again = await Importer.plan(data, options);
+    assert.strictEqual(again.sessions.length, 0);
+    assert.strictEqual(again.summary.duplicates, 2);
+  });
+
+  it('keeps another device\'s sessions as its own and archived', async () => {
+    const { sessions } = await Importer.plan({ deviceId: 'device-2', sessions: [exported({ id: 'a' })] }, options);
+    assert.strictEqual(sessions[0].deviceId, 'device-2');
+    assert.strictEqual(sessions[0].syncState, SYNC_STATE.ARCHIVED);
+  });
+
+  it('drops path keys hashed under another profile\'s key', async () => {
+    const data = { sessions: [exported({ id: 'a', path: 'hmac:0123abcd' }), exported({ id: 'b', path: '/docs' })] };
+    const { sessions } = await Importer.plan(data, options);
+    assert.deepStrictEqual(sessions.map(session => session.path), [null, '/docs']);
+  });
+
+  it('queues this device\'s unsynced sessions again on a restore', async () => {
+    const data = { deviceId: 'device-1', sessions: [exported({ id: 'a', syncState: SYNC_STATE.FAILED }), exported({ id: 'b', syncState: SYNC_STATE.ARCHIVED })] };
+
+    const { sessions, summary } = await Importer.plan(data, { ...options, provenance: IMPORT_PROVENANCE.ASSIGN });
+
+    assert.strictEqual(summary.sameDevice, true);
+    assert.deepStrictEqual(sessions.map(session => session.syncState), [SYNC_STATE.PENDING, SYNC_STATE.ARCHIVED]);
+    assert.strictEqual(sessions[0].deviceId, undefined);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Load extension scripts for tests the way the manifest does: one after the
+ * other into a single global scope, so their constants (SYNC_STATE,
+ * ACTIVITY_TYPE, ...) and modules see each other as in the background page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const loaded = new Set();
+
+/**
+ * Run scripts in the global scope, each once
+ * @param {...string} files - Paths relative to the repository root
+ */
+function loadScripts(...files) {
+  files.forEach((file) => {
+    if (loaded.has(file)) return;
+    loaded.add(file);
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+  });
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,54 @@
+/**
+ * Local mock HTTP server for the backend adapter tests
+ * Records every request and answers with whatever the test's handler returns.
+ */
+
+const http = require('http');
+
+/**
+ * Start a mock server on a free local port
+ * @param {Function} handler - (request) => { status, body, headers }, request being { method, path, headers, body }
+ * @returns {object} { url, requests, setHandler(handler), reset(), close() }
+ */
+async function startMockServer(handler = () => ({ status: 200, body: {} })) {
+  const requests = [];
+  let respond = handler;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      };
+      requests.push(request);
+
+      const { status = 200, body: responseBody = {}, headers = {} } = respond(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    setHandler(next) {
+      respond = next;
+    },
+    // Forget recorded requests and go back to the starting handler
+    reset() {
+      requests.length = 0;
+      respond = handler;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,42 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'public-suffix-list.js', 'domains.js', 'media.js', 'storage.js', 'rollups.js',
+  'categories.js', 'paths.js', 'productivity.js');
+
+const config = { productivity: {}, categoryRules: [] };
+
+describe('Productivity.sendWeeklySummary', () => {
+  let notifications;
+
+  beforeEach(() => {
+    notifications = [];
+    global.browser = {
+      runtime: { getURL: path => path },
+      notifications: { create: async (id, options) => { notifications.push(options); } }
+    };
+  });
+
+  it('reports wall-clock time online, leaving out time sessions ran side by side', async (t) => {
+    const yesterday = Utils.addDays(Utils.getDayKey(Utils.getCurrentTimestamp()), -1);
+    // Two windows open for the same hour: each site counts fully, the hour online once
+    t.mock.method(Rollups, 'iterate', async (callback) => {
+      callback({ day: yesterday, domain: 'github.com', seconds: 3600, overlapSeconds: 0 });
+      callback({ day: yesterday, domain: 'docs.python.org', seconds: 3600, overlapSeconds: 3600 });
+    });
+
+    await Productivity.sendWeeklySummary(config);
+
+    assert.strictEqual(notifications.length, 1);
+    assert.match(notifications[0].message, /^1h online, /);
+  });
+
+  it('stays quiet after a week without time', async (t) => {
+    t.mock.method(Rollups, 'iterate', async () => {});
+
+    await Productivity.sendWeeklySummary(config);
+
+    assert.deepStrictEqual(notifications, []);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'media.js', 'storage.js', 'rollups.js');
+
+// Local midnight between 2024-01-15 and 2024-01-16, so the tests hold in any time zone
+const midnight = Utils.parseDayKey('2024-01-16');
+
+const session = (start, end, extra = {}) => ({
+  domain: 'example.com',
+  title: 'Example',
+  startTimestamp: start,
+  endTimestamp: end,
+  durationSeconds: end - start,
+  ...extra
+});
+
+describe('Rollups.splitByDay', () => {
+  it('keeps a session within one day whole', () => {
+    const whole = session(midnight - 600, midnight);
+    assert.deepStrictEqual(Rollups.splitByDay(whole), [whole]);
+  });
+
+  it('splits a session at each local midnight it runs past', () => {
+    const nextMidnight = Utils.parseDayKey('2024-01-17');
+    const parts = Rollups.splitByDay(session(midnight - 600, nextMidnight + 300));
+
+    assert.deepStrictEqual(parts.map(part => Utils.getDayKey(part.startTimestamp)), ['2024-01-15', '2024-01-16', '2024-01-17']);
+    assert.deepStrictEqual(parts.map(part => part.durationSeconds), [600, nextMidnight - midnight, 300]);
+    assert.deepStrictEqual(parts.map(part => part.continued), [false, true, true]);
+    assert.deepStrictEqual(parts.map(part => part.endTimestamp), [midnight, nextMidnight, nextMidnight + 300]);
+  });
+
+  it('shares overlapping seconds out in proportion, the remainder on the last day', () => {
+    const parts = Rollups.splitByDay(session(midnight - 100, midnight + 200, { overlapSeconds: 100 }));
+    assert.deepStrictEqual(parts.map(part => part.overlapSeconds), [33, 67]);
+  });
+});
+
+describe('Rollups.getSessionRows', () => {
+  it('credits each day its seconds and counts one visit', () => {
+    const rows = Rollups.getSessionRows(session(midnight - 600, midnight + 900, { overlapSeconds: 150 }));
+
+    assert.deepStrictEqual(rows.map(row => [row.day, row.seconds, row.sessions, row.overlapSeconds]), [
+      ['2024-01-15', 600, 1, 60],
+      ['2024-01-16', 900, 0, 90]
+    ]);
+  });
+});
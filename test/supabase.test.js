@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('./mock-server');
+
+global.Utils = require('../utils');
+const SupabaseBackend = require('../backends/supabase');
+
+const payload = {
+  device_id: 'device-1',
+  user_id: 'user@example.com',
+  device_profile: { type: 'laptop' },
+  sessions: [{
+    session_id: '7d0a6a3e-5d1c-4b7e-9f43-0d6c1b2a9e11',
+    url: 'https://example.com/page',
+    domain: 'example.com',
+    category: 'Docs',
+    title: 'Page',
+    start_timestamp: 1700000000,
+    end_timestamp: 1700000060,
+    duration_seconds: 60,
+    tab_id: 3,
+    incognito: false,
+    activity_type: 'interactive',
+    window_id: 1
+  }]
+};
+
+describe('SupabaseBackend', () => {
+  let server;
+  let config;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach((t) => {
+    server.reset();
+    config = { apiEndpoint: server.url, apiKey: 'anon-key' };
+    t.mock.method(console, 'error', () => {});
+  });
+
+  describe('validateUser', () => {
+    it('asks is_valid_user with the anon key', async () => {
+      server.setHandler(() => ({ body: true }));
+
+      assert.deepStrictEqual(await SupabaseBackend.validateUser('user@example.com', config), { valid: true });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.path, '/rest/v1/rpc/is_valid_user');
+      assert.strictEqual(request.headers.apikey, 'anon-key');
+      assert.strictEqual(request.headers.authorization, 'Bearer anon-key');
+      assert.deepStrictEqual(request.body, { check_username: 'user@example.com' });
+    });
+
+    it('rejects unknown users permanently', async () => {
+      server.setHandler(() => ({ body: false }));
+
+      const result = await SupabaseBackend.validateUser('nobody', config);
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.permanent, true);
+    });
+
+    it('does not call the server without a key or user ID', async () => {
+      assert.strictEqual((await SupabaseBackend.validateUser('user', { apiEndpoint: server.url })).permanent, true);
+      assert.strictEqual((await SupabaseBackend.validateUser('', config)).permanent, true);
+      assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('maps 4xx to permanent and 5xx, 408 and 429 to transient', async () => {
+      for (const [status, permanent] of [[401, true], [404, true], [408, false], [429, false], [500, false], [503, false]]) {
+        server.setHandler(() => ({ status, body: { message: 'nope' } }));
+
+        const result = await SupabaseBackend.validateUser('user@example.com', config);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.permanent, permanent, `status ${status}`);
+        assert.match(result.error, new RegExp(`API error ${status}`));
+      }
+    });
+  });
+
+  describe('send', () => {
+    it('upserts one row per session on session_id', async () => {
+      server.setHandler(() => ({ status: 201, body: '' }));
+
+      await SupabaseBackend.send(payload, config);
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.path, '/rest/v1/sessions?on_conflict=session_id');
+      assert.strictEqual(request.headers.authorization, 'Bearer anon-key');
+      assert.strictEqual(request.headers.prefer, 'resolution=ignore-duplicates,return=minimal');
+      assert.strictEqual(request.body.length, 1);
+
+      const row = request.body[0];
+      assert.strictEqual(row.session_id, payload.sessions[0].session_id);
+      assert.strictEqual(row.device_id, 'device-1');
+      assert.strictEqual(row.user_id, 'user@example.com');
+      assert.strictEqual(row.domain, 'example.com');
+      assert.strictEqual(row.activity_type, 'interactive');
+      assert.strictEqual(row.window_id, 1);
+      assert.deepStrictEqual(row.device_profile, { type: 'laptop' });
+    });
+
+    it('throws errors carrying the status', async () => {
+      server.setHandler(() => ({ status: 400, body: { message: 'bad column' } }));
+      await assert.rejects(SupabaseBackend.send(payload, config), (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(Utils.isPermanentError(error), true);
+        return true;
+      });
+
+      server.setHandler(() => ({ status: 502, body: 'bad gateway' }));
+      await assert.rejects(SupabaseBackend.send(payload, config), (error) => {
+        assert.strictEqual(error.status, 502);
+        assert.strictEqual(Utils.isPermanentError(error), false);
+        return true;
+      });
+    });
+  });
+
+  describe('missing columns', () => {
+    it('flags a table without the newer columns as a setup problem', async () => {
+      server.setHandler(() => ({
+        status: 400,
+        body: { code: 'PGRST204', message: "Could not find the 'window_id' column of 'sessions' in the schema cache" }
+      }));
+      await assert.rejects(SupabaseBackend.send(payload, config), (error) => {
+        assert.strictEqual(error.setupError, true);
+        assert.match(error.message, /Migrations section of supabase-setup\.sql/);
+        assert.strictEqual(Utils.isPayloadError(error), false);
+        return true;
+      });
+    });
+
+    it('leaves other bad requests to be rejected', async () => {
+      server.setHandler(() => ({ status: 400, body: { code: '22P02', message: 'invalid input syntax for type uuid' } }));
+      await assert.rejects(SupabaseBackend.send(payload, config), (error) => {
+        assert.strictEqual(error.setupError, undefined);
+        assert.strictEqual(Utils.isPayloadError(error), true);
+        return true;
+      });
+    });
+  });
+
+  describe('fetch', () => {
+    it('filters a view with eq. parameters', async () => {
+      const rows = [{ domain: 'example.com', total_seconds: 60 }];
+      server.setHandler(() => ({ body: rows }));
+
+      assert.deepStrictEqual(await SupabaseBackend.fetch('domain_totals', { user_id: 'user@example.com' }, config), rows);
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'GET');
+      assert.strictEqual(request.path, '/rest/v1/domain_totals?user_id=eq.user%40example.com');
+      assert.strictEqual(request.headers.apikey, 'anon-key');
+    });
+
+    it('throws on server errors', async () => {
+      server.setHandler(() => ({ status: 500, body: 'boom' }));
+      await assert.rejects(SupabaseBackend.fetch('domain_totals', {}, config), { status: 500 });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'storage.js', 'media.js', 'encryption.js', 'sync.js');
+
+const config = {
+  userId: 'user@example.com',
+  syncChunkSize: 1,
+  deviceProfile: { type: 'desktop', name: 'Test', browser: 'Firefox', os: 'Linux' }
+};
+
+const sessions = ['a', 'b', 'c'].map((id, index) => ({
+  id,
+  url: `https://example.com/${id}`,
+  domain: 'example.com',
+  title: id,
+  startTimestamp: 1700000000 + index * 60,
+  endTimestamp: 1700000030 + index * 60,
+  durationSeconds: 30,
+  tabId: 1
+}));
+
+/**
+ * Answer each session's upload with the given status, or succeed
+ */
+function failWith(statuses) {
+  return async (payload) => {
+    const status = statuses[payload.sessions[0].session_id];
+    if (status) {
+      const error = new Error(`API error ${status}`);
+      error.status = status;
+      throw error;
+    }
+  };
+}
+
+describe('SyncManager.sendInChunks', () => {
+  let states;
+  let syncState;
+
+  beforeEach((t) => {
+    states = {};
+    syncState = {};
+    global.browser = {
+      storage: {
+        local: {
+          get: async () => ({ syncState }),
+          set: async (items) => { syncState = items.syncState; }
+        }
+      }
+    };
+    t.mock.method(SessionStore, 'setState', async (stored, state) => {
+      stored.forEach((session) => { states[session.id] = state; });
+    });
+    t.mock.method(Encryption, 'prepareForUpload', async chunk => chunk);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('archives every chunk that goes through', async (t) => {
+    t.mock.method(SyncManager, 'sendToApi', failWith({}));
+
+    const result = await SyncManager.sendInChunks(sessions, 'device-1', config);
+
+    assert.strictEqual(result.synced, 3);
+    assert.strictEqual(result.lastError, null);
+    assert.deepStrictEqual(states, { a: SYNC_STATE.ARCHIVED, b: SYNC_STATE.ARCHIVED, c: SYNC_STATE.ARCHIVED });
+  });
+
+  for (const status of [400, 409, 413, 422]) {
+    it(`sets a chunk refused with ${status} aside and sends the rest`, async (t) => {
+      t.mock.method(SyncManager, 'sendToApi', failWith({ b: status }));
+
+      const result = await SyncManager.sendInChunks(sessions, 'device-1', config);
+
+      assert.strictEqual(result.synced, 2);
+      assert.strictEqual(result.rejected, 1);
+      assert.deepStrictEqual(result.failed, []);
+      assert.strictEqual(result.lastError, null);
+      assert.strictEqual(states.b, SYNC_STATE.REJECTED);
+      assert.strictEqual(states.c, SYNC_STATE.ARCHIVED);
+      assert.strictEqual(syncState.rejectedError, `API error ${status}`);
+    });
+  }
+
+  for (const status of [401, 403, 500, 503, 429]) {
+    it(`stops at ${status} and keeps the rest for the retry queue`, async (t) => {
+      t.mock.method(SyncManager, 'sendToApi', failWith({ b: status }));
+
+      const result = await SyncManager.sendInChunks(sessions, 'device-1', config);
+
+      assert.strictEqual(result.synced, 1);
+      assert.strictEqual(result.rejected, 0);
+      assert.deepStrictEqual(result.failed.map(session => session.id), ['b', 'c']);
+      assert.strictEqual(result.lastError.status, status);
+      assert.strictEqual(states.b, undefined);
+      assert.strictEqual(result.chunks[2].error, 'Skipped after earlier failure');
+    });
+  }
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Utils = require('../utils');
+
+const withStatus = (status) => Object.assign(new Error(`API error ${status}`), { status });
+
+describe('Utils.isPermanentError', () => {
+  it('treats client errors as permanent', () => {
+    for (const status of [400, 401, 403, 404, 409, 413, 422]) {
+      assert.strictEqual(Utils.isPermanentError(withStatus(status)), true, `status ${status}`);
+    }
+  });
+
+  it('retries timeouts, rate limits, server and network errors', () => {
+    for (const status of [408, 429, 500, 502, 503]) {
+      assert.strictEqual(Utils.isPermanentError(withStatus(status)), false, `status ${status}`);
+    }
+    assert.strictEqual(Utils.isPermanentError(new TypeError('NetworkError')), false);
+    assert.strictEqual(Utils.isPermanentError(null), false);
+  });
+});
+
+describe('Utils.isPayloadError', () => {
+  it('only blames the payload for 400, 409, 413 and 422', () => {
+    for (const status of [400, 409, 413, 422]) {
+      assert.strictEqual(Utils.isPayloadError(withStatus(status)), true, `status ${status}`);
+    }
+    for (const status of [401, 403, 404, 408, 429, 500]) {
+      assert.strictEqual(Utils.isPayloadError(withStatus(status)), false, `status ${status}`);
+    }
+    assert.strictEqual(Utils.isPayloadError(new Error('offline')), false);
+  });
+
+  it('leaves setup problems flagged by a backend to stop the run', () => {
+    assert.strictEqual(Utils.isPayloadError(Object.assign(withStatus(400), { setupError: true })), false);
+  });
+});
+
+describe('Utils.isDayKey', () => {
+  it('accepts real calendar days', () => {
+    for (const value of ['2024-03-15', '2024-02-29', '1999-12-31']) {
+      assert.strictEqual(Utils.isDayKey(value), true, value);
+    }
+  });
+
+  it('rejects missing, malformed and impossible dates', () => {
+    for (const value of [undefined, null, '', 20240315, '2024-3-15', '2024-03-15T00:00', '2023-02-29', '2024-13-01']) {
+      assert.strictEqual(Utils.isDayKey(value), false, String(value));
+    }
+  });
+});
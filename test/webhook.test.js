@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('./mock-server');
+
+global.Utils = require('../utils');
+const WebhookBackend = require('../backends/webhook');
+
+const payload = {
+  device_id: 'device-1',
+  user_id: 'user@example.com',
+  sessions: [{ session_id: 'a1', domain: 'example.com', duration_seconds: 60 }],
+  sync_timestamp: 1700000060
+};
+
+describe('WebhookBackend', () => {
+  let server;
+  let config;
+
+  before(async () => {
+    server = await startMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach((t) => {
+    server.reset();
+    config = {
+      webhook: {
+        url: `${server.url}/collect`,
+        headers: 'Authorization: Bearer token-1\nX-Team: tracking\nnot a header',
+        validateUrl: `${server.url}/validate`,
+        fetchUrl: `${server.url}/totals`
+      }
+    };
+    t.mock.method(console, 'error', () => {});
+  });
+
+  describe('validateUser', () => {
+    it('accepts true or { valid: true } from the validation URL', async () => {
+      server.setHandler(() => ({ body: true }));
+      assert.deepStrictEqual(await WebhookBackend.validateUser('user@example.com', config), { valid: true });
+
+      server.setHandler(() => ({ body: { valid: true } }));
+      assert.deepStrictEqual(await WebhookBackend.validateUser('user@example.com', config), { valid: true });
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.path, '/validate');
+      assert.strictEqual(request.headers.authorization, 'Bearer token-1');
+      assert.strictEqual(request.headers['x-team'], 'tracking');
+      assert.deepStrictEqual(request.body, { user_id: 'user@example.com' });
+    });
+
+    it('passes on the collector\'s rejection reason', async () => {
+      server.setHandler(() => ({ body: { valid: false, error: 'Unknown team member' } }));
+
+      assert.deepStrictEqual(await WebhookBackend.validateUser('nobody', config), {
+        valid: false,
+        error: 'Unknown team member',
+        permanent: true
+      });
+    });
+
+    it('accepts everyone without a validation URL', async () => {
+      config.webhook.validateUrl = '';
+      assert.deepStrictEqual(await WebhookBackend.validateUser('anyone', config), { valid: true });
+      assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('maps 4xx to permanent and 5xx, 408 and 429 to transient', async () => {
+      for (const [status, permanent] of [[401, true], [403, true], [408, false], [429, false], [500, false]]) {
+        server.setHandler(() => ({ status, body: 'no' }));
+
+        const result = await WebhookBackend.validateUser('user@example.com', config);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.permanent, permanent, `status ${status}`);
+      }
+    });
+  });
+
+  describe('send', () => {
+    it('posts the payload as-is with the auth headers', async () => {
+      await WebhookBackend.send(payload, config);
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.path, '/collect');
+      assert.strictEqual(request.headers.authorization, 'Bearer token-1');
+      assert.strictEqual(request.headers['content-type'], 'application/json');
+      assert.deepStrictEqual(request.body, payload);
+    });
+
+    it('throws errors carrying the status', async () => {
+      server.setHandler(() => ({ status: 422, body: 'invalid' }));
+      await assert.rejects(WebhookBackend.send(payload, config), (error) => {
+        assert.strictEqual(error.status, 422);
+        assert.strictEqual(Utils.isPermanentError(error), true);
+        return true;
+      });
+
+      server.setHandler(() => ({ status: 503, body: 'down' }));
+      await assert.rejects(WebhookBackend.send(payload, config), (error) => {
+        assert.strictEqual(Utils.isPermanentError(error), false);
+        return true;
+      });
+    });
+  });
+
+  describe('fetch', () => {
+    it('passes the resource and query as parameters', async () => {
+      const rows = [{ domain: 'example.com', total_seconds: 60 }];
+      server.setHandler(() => ({ body: rows }));
+
+      assert.deepStrictEqual(await WebhookBackend.fetch('domain_totals', { user_id: 'user@example.com' }, config), rows);
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'GET');
+      assert.strictEqual(request.path, '/totals?resource=domain_totals&user_id=user%40example.com');
+      assert.strictEqual(request.headers.authorization, 'Bearer token-1');
+    });
+
+    it('returns nothing without a fetch URL', async () => {
+      config.webhook.fetchUrl = '';
+      assert.deepStrictEqual(await WebhookBackend.fetch('domain_totals', {}, config), []);
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+});
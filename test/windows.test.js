@@ -0,0 +1,40 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('windows.js');
+
+describe('Windows overlap', () => {
+  beforeEach(() => { Windows.counted = []; });
+
+  it('merges intervals given in any order', () => {
+    assert.deepStrictEqual(Windows.merge([[50, 60], [0, 10], [5, 20], [20, 30]]), [[0, 30], [50, 60]]);
+    assert.deepStrictEqual(Windows.merge([]), []);
+  });
+
+  it('measures seconds already covered by counted intervals', () => {
+    assert.strictEqual(Windows.getOverlap(0, 100, [[10, 20], [90, 150]]), 20);
+    assert.strictEqual(Windows.getOverlap(0, 100, []), 0);
+  });
+
+  it('counts an ended session once against sessions counted before it', () => {
+    assert.strictEqual(Windows.count({ startTimestamp: 0, endTimestamp: 300 }, 100), 0);
+    assert.strictEqual(Windows.count({ startTimestamp: 100, endTimestamp: 400 }, 0), 200);
+    assert.deepStrictEqual(Windows.counted, [[0, 400]]);
+  });
+
+  it('drops intervals that end before the earliest running session', () => {
+    Windows.count({ startTimestamp: 0, endTimestamp: 300 }, 500);
+    assert.deepStrictEqual(Windows.counted, []);
+  });
+
+  it('measures running sessions without counting them', () => {
+    Windows.count({ startTimestamp: 0, endTimestamp: 100 }, 0);
+    const measured = Windows.measure([
+      { startTimestamp: 50, endTimestamp: 250 },
+      { startTimestamp: 130, endTimestamp: 250 }
+    ]);
+    assert.deepStrictEqual(measured.map(s => s.overlapSeconds), [50, 120]);
+    assert.deepStrictEqual(Windows.counted, [[0, 100]]);
+  });
+});
@@ -33,6 +33,27 @@ const Utils = {
     }
   },
 
+  /**
+   * Check whether a domain is covered by a domain pattern
+   * "example.com" covers the domain and its subdomains; "*" matches any characters.
+   * @param {string} pattern - Domain pattern
+   * @param {string} domain - Domain to test
+   * @returns {boolean} Whether the pattern covers the domain
+   */
+  matchesDomain(pattern, domain) {
+    const normalized = pattern.trim().toLowerCase();
+    if (!normalized) return false;
+
+    if (normalized.includes('*')) {
+      const source = normalized.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`).test(domain);
+    }
+
+    return domain === normalized || domain.endsWith(`.${normalized}`);
+  },
+
   /**
    * Check if URL should be tracked (excludes internal browser pages)
    * @param {string} url - URL to check
@@ -82,6 +103,50 @@ const Utils = {
     return Math.floor(startOfDay.getTime() / 1000);
   },
 
+  /**
+   * Get the local calendar day of a timestamp
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {string} Day key (e.g., "2024-03-15")
+   */
+  getDayKey(timestamp) {
+    const date = new Date(timestamp * 1000);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+
+  /**
+   * Check if a value is a valid day key
+   * @param {*} value - Value to check
+   * @returns {boolean} True for real calendar days like "2024-03-15"
+   */
+  isDayKey(value) {
+    // Dates like 2024-02-31 roll over to another day and fail the round trip
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && this.addDays(value, 0) === value;
+  },
+
+  /**
+   * Get the local midnight of a day key
+   * @param {string} dayKey - Day key (e.g., "2024-03-15")
+   * @returns {number} Unix timestamp in seconds
+   */
+  parseDayKey(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return Math.floor(new Date(year, month - 1, day).getTime() / 1000);
+  },
+
+  /**
+   * Move a day key by a number of days
+   * @param {string} dayKey - Day key (e.g., "2024-03-15")
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} New day key
+   */
+  addDays(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    // Noon avoids DST shifts pushing the date over midnight
+    return this.getDayKey(new Date(year, month - 1, day + days, 12).getTime() / 1000);
+  },
+
   /**
    * Detect operating system
    * @returns {string} OS name
@@ -96,6 +161,53 @@ const Utils = {
     return 'Unknown';
   },
 
+  /**
+   * fetch() wrapper that throws on non-2xx responses
+   * The thrown error carries the HTTP status in error.status.
+   * @param {string} url - Request URL
+   * @param {object} options - fetch() options
+   * @returns {Response} The successful response
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, options);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`API error ${response.status}: ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    return response;
+  },
+
+  /**
+   * Check if a request error will keep failing no matter how often it is retried
+   * Client errors (4xx) are permanent except timeouts and rate limiting;
+   * network errors and 5xx responses are transient.
+   * @param {Error} error - Error thrown by Utils.request or fetch
+   * @returns {boolean} Whether the error is permanent
+   */
+  isPermanentError(error) {
+    const status = error && error.status;
+    if (!status) return false;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  },
+
+  /**
+   * Check if a request was refused because of what it sent
+   * Unlike auth errors (401, 403), which fail every request until the
+   * settings are fixed, these only concern the data in this request.
+   * Errors a backend flags as a setup problem (error.setupError) are the
+   * same kind of failure as auth errors, whatever their status.
+   * @param {Error} error - Error thrown by Utils.request or fetch
+   * @returns {boolean} Whether the payload was rejected
+   */
+  isPayloadError(error) {
+    if (!error || error.setupError) return false;
+    return [400, 409, 413, 422].includes(error.status);
+  },
+
   /**
    * Deep clone an object
    * @param {*} obj - Object to clone
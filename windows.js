@@ -0,0 +1,104 @@
+/**
+ * Multi-window tracking for Internet Usage Tracker
+ * Optionally, the active tab of every visible browser window is tracked,
+ * not just the focused one, so windows side by side on different monitors
+ * are all counted. Sessions that run at the same time (other windows, or
+ * background audio) each count fully towards their site, while totals of
+ * wall-clock time leave out the seconds another session already counted.
+ */
+
+const Windows = {
+  // Wall-clock intervals counted by ended sessions ([[start, end]], sorted and disjoint)
+  counted: [],
+
+  /**
+   * Whether a window is on screen
+   * @param {object} win - Window object
+   * @returns {boolean} True for normal windows that aren't minimized
+   */
+  isVisible(win) {
+    return win.type === 'normal' && win.state !== 'minimized';
+  },
+
+  /**
+   * Seconds of an interval already covered by counted intervals
+   * @param {number} start - Start timestamp
+   * @param {number} end - End timestamp
+   * @param {Array} counted - Counted intervals
+   * @returns {number} Overlapping seconds
+   */
+  getOverlap(start, end, counted = this.counted) {
+    return counted.reduce((sum, [from, to]) => sum + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0);
+  },
+
+  /**
+   * Add an interval to a list of counted intervals, merging where they touch
+   * @returns {Array} New list of counted intervals
+   */
+  addInterval(counted, start, end) {
+    const merged = [];
+    let current = [start, end];
+
+    counted.forEach(([from, to]) => {
+      if (to < current[0] || from > current[1]) {
+        merged.push([from, to]);
+      } else {
+        current = [Math.min(from, current[0]), Math.max(to, current[1])];
+      }
+    });
+    merged.push(current);
+
+    return merged.sort((a, b) => a[0] - b[0]);
+  },
+
+  /**
+   * Merge intervals into sorted, disjoint ones covering the same time
+   * @param {Array} intervals - [[start, end]] in any order
+   * @returns {Array} Merged intervals
+   */
+  merge(intervals) {
+    return [...intervals].sort((a, b) => a[0] - b[0]).reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+  },
+
+  /**
+   * Count an ended session's time, returning the part already counted
+   * @param {object} session - Ended session
+   * @param {number} keepFrom - Earliest start of the sessions still running (Infinity for none);
+   *   intervals ending before it can't overlap anything saved later and are dropped
+   * @returns {number} Overlapping seconds
+   */
+  count(session, keepFrom) {
+    const { startTimestamp: start, endTimestamp: end } = session;
+    const overlap = this.getOverlap(start, end);
+    this.counted = this.addInterval(this.counted, start, end).filter(([, to]) => to > keepFrom);
+    return overlap;
+  },
+
+  /**
+   * Work out the overlap of running sessions as if they ended now, without counting them
+   * @param {Array} sessions - Live sessions
+   * @returns {Array} Copies with overlapSeconds set
+   */
+  measure(sessions) {
+    let counted = this.counted;
+    return sessions.map((session) => {
+      const { startTimestamp: start, endTimestamp: end } = session;
+      const overlapSeconds = this.getOverlap(start, end, counted);
+      counted = this.addInterval(counted, start, end);
+      return { ...session, overlapSeconds };
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Windows;
+}